@@ -0,0 +1,118 @@
+// Suspicious account use: the same user streaming from two distant places at
+// once, or from places too far apart for the time between two sessions.
+// Works on live streams (all playing now) and history sessions alike.
+class AccountSharing {
+    // Returns { findings, users }:
+    // - findings: [{ type: 'concurrent'|'travel', username, from, to, distance,
+    //   hours between the sessions and speed (km/h) for travel, occurrences,
+    //   sessions: [first, second] }], one per user and pair of places, with
+    //   its latest sessions
+    // - users: { username: { sessions, cities, isps } }, distinct counts
+    static detect(sessions, now = Date.now()) {
+        const byUser = new Map();
+        sessions.forEach(session => {
+            if (!byUser.has(session.username)) {
+                byUser.set(session.username, []);
+            }
+            byUser.get(session.username).push(session);
+        });
+
+        const findings = new Map(); // type, user and places -> finding
+        const users = {};
+
+        byUser.forEach((userSessions, username) => {
+            users[username] = AccountSharing.countPlaces(userSessions);
+
+            // Live streams have no times: they are all playing now
+            const located = userSessions
+                .filter(session => AccountSharing.getPosition(session) !== null)
+                .map(session => ({ session, start: session.startTime ?? now, stop: session.stopTime ?? now }))
+                .sort((a, b) => a.start - b.start);
+
+            located.forEach((current, index) => {
+                // Sessions starting before this one ends overlap it
+                let i = index + 1;
+                for (; i < located.length && located[i].start <= current.stop; i++) {
+                    AccountSharing.addFinding(findings, 'concurrent', current.session, located[i].session);
+                }
+
+                // Then comes the next session starting after this one ends
+                const next = located[i];
+                if (next) {
+                    const hours = (next.start - current.stop) / 3600000;
+                    AccountSharing.addFinding(findings, 'travel', current.session, next.session, hours);
+                }
+            });
+        });
+
+        return {
+            findings: Array.from(findings.values()).sort((a, b) => b.distance - a.distance),
+            users
+        };
+    }
+
+    // Record a finding when the two sessions are far enough apart (and, for
+    // travel, too far for the hours between them)
+    static addFinding(findings, type, first, second, hours = null) {
+        const distance = Geodesic.distance(AccountSharing.getPosition(first), AccountSharing.getPosition(second));
+        if (distance < AccountSharing.MIN_DISTANCE_KM) return;
+
+        const speed = type === 'travel' ? distance / hours : null;
+        if (type === 'travel' && speed <= AccountSharing.MAX_SPEED_KMH) return;
+
+        const places = [AccountSharing.getPlace(first), AccountSharing.getPlace(second)];
+        const key = [type, first.username, ...[...places].sort()].join('|');
+        const existing = findings.get(key);
+        if (existing) {
+            existing.occurrences++;
+            Object.assign(existing, { from: places[0], to: places[1], hours, speed, sessions: [first, second] });
+            return;
+        }
+
+        findings.set(key, {
+            type,
+            username: first.username,
+            from: places[0],
+            to: places[1],
+            distance,
+            hours,
+            speed,
+            occurrences: 1,
+            sessions: [first, second]
+        });
+    }
+
+    // Distinct cities and ISPs among located sessions
+    static countPlaces(sessions) {
+        const cities = new Set();
+        const isps = new Set();
+        sessions.forEach(session => {
+            if (AccountSharing.getPosition(session) === null) return;
+            cities.add(AccountSharing.getPlace(session));
+            if (session.location.isp && session.location.isp !== 'Unknown ISP') {
+                isps.add(session.location.isp);
+            }
+        });
+        return { sessions: sessions.length, cities: cities.size, isps: isps.size };
+    }
+
+    // [lat, lon] of a geolocated session, null when its location is unknown
+    static getPosition(session) {
+        if (session.noLocation || !TautulliAPI.isLocated(session.location)) {
+            return null;
+        }
+        return [session.location.lat, session.location.lon];
+    }
+
+    static getPlace(session) {
+        const { city, country } = session.location;
+        return city ? `${city}, ${country}` : country;
+    }
+}
+
+// Closer sessions are ignored: GeoIP often places a user at their ISP's
+// nearest interconnection point, hundreds of km away
+AccountSharing.MIN_DISTANCE_KM = 300;
+
+// Faster than an airliner, including the time to get to the airport
+AccountSharing.MAX_SPEED_KMH = 800;
@@ -4,16 +4,46 @@ class TautulliMapApp {
         this.api = null;
         this.mapManager = null;
         this.refreshInterval = null;
+        this.liveFeed = {
+            source: null,
+            state: 'closed', // 'connecting', 'open', 'reconnecting' or 'closed'
+            streams: null,
+            tautulliConnected: false
+        };
         this.isConnected = false;
         this.lastUpdate = null;
-        this.currentMode = 'live'; // 'live' or 'history'
-        this.historyData = [];
+        this.currentMode = 'live'; // 'live', 'history' or 'stats' (history sessions as charts)
+        this.serverFilter = 'all'; // 'all' or a server id
+        this.historyAll = []; // Loaded sessions of every server
+        this.historyRange = null; // { from, to } Dates of historyAll
+        this.historyData = []; // historyAll filtered by server, filter panel and country
+        this.filters = null;
         this.historyStats = {};
+        this.countryStats = {}; // byCountry of every country, even while one is selected
+        this.choropleth = null;
+        this.choroplethMetric = 'none'; // 'none' or a CountryChoropleth.METRICS key
+        this.statsView = null;
+        this.suspiciousPanel = null;
         this.historyPlayback = {
             isPlaying: false,
-            currentIndex: 0,
+            overview: true, // Every session of the period, no playhead
+            currentTime: null, // Simulated time of the playhead (ms)
+            start: null, // Period covered by the sessions (ms)
+            end: null,
+            sessionStarts: [], // Sorted start times, to jump between sessions
             timer: null,
-            speed: 1000 // ms between frames
+            lastTick: null,
+            speed: 3600000, // Simulated ms per real second
+            tickInterval: 200, // Real ms between frames
+            ghostDuration: 30 * 60000, // Simulated ms an ended session fades out over
+            persistence: 0 // Simulated ms ended sessions stay dimmed, 0 for none
+        };
+        this.heatmap = {
+            enabled: false,
+            weight: 'sessions', // 'sessions', 'watchTime' or 'bandwidth'
+            radius: 25,
+            blur: 15,
+            window: 3 * 3600000 // ms on each side of the playhead
         };
         
         // UI elements
@@ -29,7 +59,20 @@ class TautulliMapApp {
             startDate: document.getElementById('start-date'),
             endDate: document.getElementById('end-date'),
             playbackSlider: document.getElementById('playback-slider'),
-            playbackTime: document.getElementById('playback-time')
+            playbackTime: document.getElementById('playback-time'),
+            playbackOverview: document.getElementById('playback-overview'),
+            playbackSpeed: document.getElementById('playback-speed'),
+            playbackGhost: document.getElementById('playback-ghost'),
+            playbackPersistence: document.getElementById('playback-persistence'),
+            serverFilter: document.getElementById('server-filter'),
+            heatmapToggle: document.getElementById('heatmap-toggle'),
+            heatmapWeight: document.getElementById('heatmap-weight'),
+            heatmapRadius: document.getElementById('heatmap-radius'),
+            heatmapBlur: document.getElementById('heatmap-blur'),
+            choroplethMetric: document.getElementById('choropleth-metric'),
+            exportFormat: document.getElementById('export-format'),
+            statsView: document.getElementById('stats-view'),
+            countryFilter: document.getElementById('country-filter')
         };
     }
 
@@ -39,11 +82,20 @@ class TautulliMapApp {
         // Show loading spinner
         this.showLoading(true);
         
-        // Initialize API
-        this.api = new TautulliAPI(config);
+        // Initialize API, one TautulliAPI per server
+        this.api = new TautulliServers(config);
         
         // Initialize map
         this.mapManager = new MapManager(config, this.api).init();
+        this.choropleth = new CountryChoropleth(this.mapManager);
+        this.choropleth.onSelect = () => this.showFilteredHistory();
+        this.filters = new StreamFilters();
+        this.filters.onChange = () => this.applyFilters();
+        this.statsView = new StatsView(this.elements.statsView);
+        this.statsView.onSelect = (type, value) => this.selectStat(type, value);
+        this.suspiciousPanel = new SuspiciousPanel(document.getElementById('suspicious-panel'));
+        this.suspiciousPanel.onSelect = (finding) => this.selectSuspicious(finding);
+        this.updateServerFilter();
         
         // Set up event listeners
         this.setupEventListeners();
@@ -83,27 +135,113 @@ class TautulliMapApp {
             this.setDatePreset(10);
         });
 
+        // Export menu, back to its title once the file is downloaded
+        this.elements.exportFormat.addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.exportHistory(e.target.value);
+            }
+            e.target.value = '';
+        });
+
         // Playback controls
         document.getElementById('play-pause').addEventListener('click', () => {
             this.togglePlayback();
         });
 
-        // Playback slider
+        document.getElementById('step-back').addEventListener('click', () => {
+            this.stepPlayback(-1);
+        });
+        document.getElementById('step-forward').addEventListener('click', () => {
+            this.stepPlayback(1);
+        });
+        document.getElementById('next-session').addEventListener('click', () => {
+            this.jumpToNextSession();
+        });
+        this.elements.playbackSpeed.addEventListener('change', (e) => {
+            this.historyPlayback.speed = parseInt(e.target.value);
+        });
+        this.elements.playbackOverview.addEventListener('change', (e) => {
+            this.setOverview(e.target.checked);
+        });
+        this.elements.playbackGhost.addEventListener('change', (e) => {
+            this.historyPlayback.ghostDuration = parseInt(e.target.value);
+            if (!this.historyPlayback.overview) {
+                this.showHistoryFrame();
+            }
+        });
+        this.elements.playbackPersistence.addEventListener('change', (e) => {
+            this.historyPlayback.persistence = parseInt(e.target.value);
+            if (!this.historyPlayback.overview) {
+                this.showHistoryFrame();
+            }
+        });
+
+        // Playback slider, in minutes from the start of the period
         this.elements.playbackSlider.addEventListener('input', (e) => {
-            this.seekPlayback(parseInt(e.target.value));
+            this.seekPlayback(this.historyPlayback.start + parseInt(e.target.value) * 60000);
+        });
+
+        // Heatmap controls
+        this.elements.heatmapToggle.addEventListener('change', (e) => {
+            this.heatmap.enabled = e.target.checked;
+            this.updateHeatmapControls();
+            this.updateHeatmap();
+        });
+        this.elements.heatmapWeight.addEventListener('change', (e) => {
+            this.heatmap.weight = e.target.value;
+            this.updateHeatmap();
+        });
+        this.elements.heatmapRadius.addEventListener('input', (e) => {
+            this.heatmap.radius = parseInt(e.target.value);
+            this.updateHeatmap();
+        });
+        this.elements.heatmapBlur.addEventListener('input', (e) => {
+            this.heatmap.blur = parseInt(e.target.value);
+            this.updateHeatmap();
+        });
+        this.updateHeatmapControls();
+
+        // Country choropleth, and the country filter set by clicking it
+        this.elements.choroplethMetric.addEventListener('change', (e) => {
+            this.choroplethMetric = e.target.value;
+            if (this.choroplethMetric === 'none' && this.choropleth.selected) {
+                this.choropleth.clearSelection();
+                this.showFilteredHistory();
+            } else {
+                this.updateChoropleth();
+            }
+        });
+        this.elements.countryFilter.addEventListener('click', () => {
+            this.choropleth.clearSelection();
+            this.showFilteredHistory();
+        });
+
+        // Server filter
+        this.elements.serverFilter.addEventListener('change', (e) => {
+            this.setServerFilter(e.target.value);
         });
 
         // Config update handler
         window.addEventListener('configUpdated', async (e) => {
             console.log('Configuration updated:', e.detail);
             
-            // Clear existing interval
-            if (this.refreshInterval) {
-                clearInterval(this.refreshInterval);
-            }
+            // Stop the live feed and polling
+            this.stopLiveUpdates();
+            
+            // Servers may have changed
+            this.api = new TautulliServers(config);
+            this.mapManager.api = this.api;
+            this.mapManager.updateServerMarkers();
+            this.mapManager.refreshColors();
+            this.updateServerFilter();
             
             // Reinitialize with new config
             await this.start();
+
+            // Reload history so location overrides apply to it
+            if (this.currentMode !== 'live') {
+                await this.loadHistoryData();
+            }
         });
 
         // Window resize handler
@@ -121,7 +259,11 @@ class TautulliMapApp {
         });
     }
 
-    switchTab(tab) {
+    // With reloadHistory, history sessions are loaded again for the chosen
+    // period even when switching between history and statistics
+    switchTab(tab, reloadHistory = false) {
+        const fromLive = this.currentMode === 'live';
+        
         // Update active tab
         document.querySelectorAll('.tab-button').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.tab === tab);
@@ -130,14 +272,18 @@ class TautulliMapApp {
         // Update mode
         this.currentMode = tab;
 
-        // Show/hide history controls
-        this.elements.historyControls.classList.toggle('active', tab === 'history');
+        // Show/hide history controls, only the period for statistics
+        this.elements.historyControls.classList.toggle('active', tab !== 'live');
+        this.elements.historyControls.classList.toggle('stats-mode', tab === 'stats');
         this.elements.mapContainer.classList.toggle('with-history-controls', tab === 'history');
+        this.elements.mapContainer.classList.toggle('stats-mode', tab === 'stats');
+        this.elements.statsView.hidden = tab !== 'stats';
 
         // Update page title in header
         const titleMap = {
             'live': 'Statistiques en Direct',
-            'history': 'Historique'
+            'history': 'Historique',
+            'stats': 'Statistiques'
         };
         document.querySelector('#info-panel h2').textContent = titleMap[tab] || 'Statistiques';
 
@@ -145,12 +291,24 @@ class TautulliMapApp {
             // Switch to live mode
             this.pause();
             this.stopPlayback();
+            this.mapManager.clearHeatmap();
+            this.choropleth.hide();
+            this.choropleth.clearSelection();
+            this.updateCountryFilter();
             this.resume();
-        } else if (tab === 'history') {
-            // Switch to history mode
+        } else if (fromLive || reloadHistory) {
+            // Switch to history mode, statistics use the same sessions
             this.pause();
-            this.setDatePreset(10); // Default to 10 days
+            if (fromLive) {
+                this.setDatePreset(10); // Default to 10 days
+            }
             this.loadHistoryData();
+        } else if (tab === 'history') {
+            // Back from the statistics: draw the loaded sessions
+            return this.showFilteredHistory();
+        } else {
+            this.stopPlayback();
+            this.updateStatsView();
         }
     }
 
@@ -159,6 +317,16 @@ class TautulliMapApp {
         const startDate = new Date();
         startDate.setDate(startDate.getDate() - days);
 
+        this.setDateRange(startDate, now);
+
+        // Update active preset button
+        document.querySelectorAll('.preset-button').forEach(btn => {
+            btn.classList.remove('active');
+        });
+        event.target.classList.add('active');
+    }
+
+    setDateRange(startDate, endDate) {
         // Format for datetime-local input
         const formatDate = (date) => {
             const d = new Date(date);
@@ -167,13 +335,7 @@ class TautulliMapApp {
         };
 
         this.elements.startDate.value = formatDate(startDate);
-        this.elements.endDate.value = formatDate(now);
-
-        // Update active preset button
-        document.querySelectorAll('.preset-button').forEach(btn => {
-            btn.classList.remove('active');
-        });
-        event.target.classList.add('active');
+        this.elements.endDate.value = formatDate(endDate);
     }
 
     async loadHistoryData() {
@@ -184,34 +346,30 @@ class TautulliMapApp {
             const startDate = new Date(this.elements.startDate.value);
             const endDate = new Date(this.elements.endDate.value);
             
-            // Calculate days
-            const days = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
+            if (isNaN(startDate) || isNaN(endDate) || startDate >= endDate) {
+                this.showError('Période invalide');
+                return;
+            }
             
             // Fetch history data
-            console.log(`Loading history for ${days} days...`);
-            this.historyData = await this.api.getHistoryDays(days);
+            console.log(`Loading history from ${startDate.toLocaleString()} to ${endDate.toLocaleString()}...`);
+            this.historyAll = await this.api.getHistoryRange(startDate, endDate);
+            this.historyRange = { from: startDate, to: endDate };
             
-            console.log(`Loaded ${this.historyData.length} historical sessions`);
+            console.log(`Loaded ${this.historyAll.length} historical sessions`);
             
             // Debug: Log some sessions
             console.log('Sample sessions:');
-            this.historyData.slice(0, 5).forEach(session => {
+            this.historyAll.slice(0, 5).forEach(session => {
                 console.log(`- ${session.username} watched "${session.media.title}" from ${session.location?.city || 'Unknown'}`);
             });
             
             // Count unique users and locations
-            const uniqueUsers = new Set(this.historyData.map(s => s.username));
-            const uniqueLocations = new Set(this.historyData.map(s => s.location ? `${s.location.lat},${s.location.lon}` : 'unknown'));
+            const uniqueUsers = new Set(this.historyAll.map(s => s.username));
+            const uniqueLocations = new Set(this.historyAll.map(s => s.location ? `${s.location.lat},${s.location.lon}` : 'unknown'));
             console.log(`Unique users: ${uniqueUsers.size}, Unique locations: ${uniqueLocations.size}`);
             
-            // Get statistics
-            this.historyStats = await this.api.getHistoryStats(this.historyData);
-            
-            // Update UI with history overview
-            this.updateHistoryUI();
-            
-            // Initialize playback
-            this.initPlayback();
+            await this.showFilteredHistory();
             
         } catch (error) {
             console.error('Failed to load history:', error);
@@ -221,6 +379,180 @@ class TautulliMapApp {
         }
     }
 
+    // Show the loaded history of the selected server(s), filters and country.
+    // With keepPlayback, a running playback continues with the new sessions.
+    async showFilteredHistory(keepPlayback = false) {
+        const serverSessions = this.filterByServer(this.historyAll);
+        this.filters.updateOptions(serverSessions);
+        const filteredSessions = this.filters.apply(serverSessions);
+        this.historyData = this.filterByCountry(filteredSessions);
+        this.updateSuspiciousActivity(this.historyData);
+        
+        // Get statistics
+        this.historyStats = await this.api.getHistoryStats(this.historyData);
+        this.countryStats = this.choropleth.selected ?
+            (await this.api.getHistoryStats(filteredSessions)).byCountry :
+            this.historyStats.byCountry;
+        
+        // Update UI with history overview
+        this.updateHistoryUI();
+        this.updateCountryFilter();
+        this.updateChoropleth();
+        
+        // The map is drawn once back on the history tab
+        if (this.currentMode === 'stats') {
+            this.updateStatsView();
+            return;
+        }
+        
+        if (keepPlayback && !this.historyPlayback.overview) {
+            this.updatePlaybackRange();
+            this.showHistoryFrame();
+        } else {
+            // Initialize playback
+            this.initPlayback();
+        }
+    }
+
+    // Download the shown sessions (server, filters and country applied)
+    exportHistory(format) {
+        if (!this.historyRange || this.historyData.length === 0) {
+            this.showError('Aucune session à exporter');
+            return;
+        }
+        
+        const content = HistoryExport.serialize(format, this.historyData, config.getServers());
+        const blob = new Blob([content], { type: HistoryExport.FORMATS[format].mimeType });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = HistoryExport.getFileName(format, this.historyRange.from, this.historyRange.to);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    updateStatsView() {
+        if (this.historyRange) {
+            this.statsView.render(this.historyStats, this.historyRange);
+        }
+    }
+
+    // A statistics bar was clicked: show its sessions on the map, through the
+    // filter panel or, for a day, the period
+    selectStat(type, value) {
+        if (type === 'day') {
+            const startDate = new Date(`${value}T00:00`);
+            const endDate = new Date(startDate);
+            endDate.setDate(endDate.getDate() + 1);
+            
+            this.setDateRange(startDate, endDate);
+            document.querySelectorAll('.preset-button').forEach(btn => {
+                btn.classList.remove('active');
+            });
+            this.switchTab('history', true);
+            return;
+        }
+        
+        // Platforms and players share one filter
+        const filterValues = {
+            platform: ['platform', `platform:${value}`],
+            player: ['platform', `player:${value}`]
+        };
+        const [key, filterValue] = filterValues[type] || [type, value];
+        this.filters.setValue(key, filterValue);
+        this.switchTab('history');
+    }
+
+    // Flag suspicious account use among the shown sessions, in the side panel
+    // and with lines between the places on the map
+    updateSuspiciousActivity(sessions) {
+        const result = AccountSharing.detect(sessions);
+        this.suspiciousPanel.render(result);
+        this.mapManager.showSuspiciousLinks(result.findings);
+    }
+
+    // A suspicious activity finding was clicked: show both places on the map
+    async selectSuspicious(finding) {
+        if (this.currentMode === 'stats') {
+            await this.switchTab('history');
+        }
+        this.mapManager.focusSuspiciousLink(finding);
+    }
+
+    // Filter panel changed: redraw the current view
+    applyFilters() {
+        if (this.currentMode !== 'live') {
+            this.showFilteredHistory(true);
+        } else {
+            this.refresh();
+        }
+    }
+
+    // Fill the server filter, only shown when there are several servers
+    updateServerFilter() {
+        const servers = config.getServers();
+        const select = this.elements.serverFilter;
+        
+        if (!servers.some(server => server.id === this.serverFilter)) {
+            this.serverFilter = 'all';
+        }
+        
+        select.innerHTML = '';
+        select.add(new Option('Tous les serveurs', 'all'));
+        servers.forEach(server => select.add(new Option(server.name, server.id)));
+        select.value = this.serverFilter;
+        select.hidden = servers.length < 2;
+    }
+
+    setServerFilter(serverId) {
+        this.serverFilter = serverId;
+        
+        if (this.currentMode !== 'live') {
+            this.stopPlayback();
+            this.showFilteredHistory();
+        } else {
+            this.refresh();
+        }
+    }
+
+    filterByServer(sessions) {
+        if (this.serverFilter === 'all') {
+            return sessions;
+        }
+        return sessions.filter(session => session.serverId === this.serverFilter);
+    }
+
+    filterByCountry(sessions) {
+        if (!this.choropleth.selected) {
+            return sessions;
+        }
+        return sessions.filter(session => this.choropleth.matchesSelection(session));
+    }
+
+    // Button showing the selected country, which clears the filter
+    updateCountryFilter() {
+        const selected = this.choropleth.selected;
+        this.elements.countryFilter.hidden = !selected;
+        this.elements.countryFilter.textContent = selected ? `Pays : ${selected.properties.name} ✕` : '';
+    }
+
+    async updateChoropleth() {
+        if (this.currentMode !== 'history' || this.choroplethMetric === 'none') {
+            this.choropleth.hide();
+            return;
+        }
+        
+        try {
+            await this.choropleth.show(this.countryStats, this.choroplethMetric);
+        } catch (error) {
+            console.error('Failed to show country choropleth:', error);
+            this.showError('Impossible de charger les frontières des pays');
+        }
+    }
+
     updateHistoryUI() {
         // Update stats display
         this.elements.userCount.textContent = `Sessions totales: ${this.historyStats.totalSessions}`;
@@ -244,12 +576,18 @@ class TautulliMapApp {
                     <div>${stats.sessions} sessions</div>
                     <div>Temps: ${this.formatDuration(stats.watchTime)}</div>
                     ${stats.location ? `<div>${stats.location.city}, ${stats.location.country}</div>` : ''}
+                    ${stats.maxDistance !== null ? `<div>Distance: ${TautulliAPI.formatDistance(stats.averageDistance)} en moyenne, ${TautulliAPI.formatDistance(stats.maxDistance)} au plus</div>` : ''}
                 </div>
             `;
             this.elements.userList.appendChild(li);
         });
     }
 
+    formatStreamDistance(stream) {
+        const distance = this.mapManager.getStreamDistance(stream);
+        return distance !== null ? `<div>Distance: ${TautulliAPI.formatDistance(distance)}</div>` : '';
+    }
+
     formatDuration(seconds) {
         const hours = Math.floor(seconds / 3600);
         const minutes = Math.floor((seconds % 3600) / 60);
@@ -262,60 +600,149 @@ class TautulliMapApp {
 
     initPlayback() {
         // Reset playback state
-        this.historyPlayback.currentIndex = 0;
-        this.historyPlayback.isPlaying = false;
+        if (this.historyPlayback.isPlaying) {
+            this.togglePlayback();
+        }
+        this.historyPlayback.overview = true;
+        this.elements.playbackOverview.checked = true;
+        this.updatePlaybackRange();
+        this.historyPlayback.currentTime = this.historyPlayback.start;
+        
+        // Show all sessions initially (not playback mode)
+        this.showHistoryFrame();
+    }
+
+    // Period and session starts of the shown sessions, keeping the playhead
+    // inside the period
+    updatePlaybackRange() {
+        const playback = this.historyPlayback;
+        const starts = this.historyData.map(session => session.startTime).sort((a, b) => a - b);
         
-        // Create timeline for playback
-        this.createHistoryTimeline();
+        playback.sessionStarts = starts;
+        playback.start = starts.length > 0 ? starts[0] : null;
+        playback.end = this.historyData.reduce((latest, session) => Math.max(latest, session.stopTime), playback.start);
         
-        // Set slider range based on timeline
-        if (this.historyPlayback.timeline) {
-            this.elements.playbackSlider.max = this.historyPlayback.timeline.length - 1;
-            this.elements.playbackSlider.value = 0;
+        if (playback.start === null) {
+            playback.currentTime = null;
+        } else if (playback.currentTime !== null) {
+            playback.currentTime = Math.min(Math.max(playback.currentTime, playback.start), playback.end);
         }
         
-        // Show all sessions initially (not playback mode)
-        this.showHistoryFrame(0);
+        this.elements.playbackSlider.max = playback.start === null ? 0 :
+            Math.ceil((playback.end - playback.start) / 60000);
     }
 
-    showHistoryFrame(index) {
-        // For history mode, show ALL sessions at once with different styling
-        if (this.currentMode === 'history' && index === 0) {
-            // Show all historical sessions on the map
+    showHistoryFrame() {
+        const playback = this.historyPlayback;
+        
+        // Overview: show ALL sessions at once with different styling
+        if (playback.overview || playback.currentTime === null) {
             this.showAllHistorySessions();
+            this.elements.playbackTime.textContent = 'Toute la période';
+            this.elements.playbackSlider.value = 0;
+            this.updateHeatmap();
             return;
         }
         
-        // For playback mode, create a timeline and show active sessions at specific time
-        if (this.historyPlayback.timeline && index >= 0 && index < this.historyPlayback.timeline.length) {
-            const currentTime = this.historyPlayback.timeline[index];
-            
-            // Find all sessions that were active at this time
-            const activeSessions = this.historyData.filter(session => {
-                return session.startTime <= currentTime && session.stopTime >= currentTime;
-            });
-            
-            console.log(`Time: ${new Date(currentTime).toLocaleString()}, Active sessions: ${activeSessions.length}`);
-            
-            // Update map with active sessions
-            this.mapManager.updateStreams(activeSessions);
-            
-            // Update time display
-            const timeStr = new Date(currentTime).toLocaleString('fr-FR', {
-                day: '2-digit',
-                month: '2-digit',
-                year: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit'
-            });
-            this.elements.playbackTime.textContent = timeStr;
-            
-            // Update slider
-            this.elements.playbackSlider.value = index;
+        // Playback: show the sessions active at the playhead, and fade out
+        // those that ended shortly before it
+        const currentTime = playback.currentTime;
+        const activeSessions = [];
+        const ghosts = [];
+        this.historyData.forEach(session => {
+            if (session.startTime > currentTime) return;
             
-            // Store current index
-            this.historyPlayback.currentIndex = index;
+            if (session.stopTime >= currentTime) {
+                activeSessions.push(session);
+            } else {
+                const fading = this.getEndedSessionStyle(currentTime - session.stopTime);
+                if (fading) {
+                    ghosts.push({ stream: session, ...fading });
+                }
+            }
+        });
+        
+        // Update map with active sessions
+        this.mapManager.updateStreams(activeSessions, { animate: true, ghosts });
+        
+        // Update clock display
+        this.elements.playbackTime.textContent = new Date(currentTime).toLocaleString('fr-FR', {
+            weekday: 'short',
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        
+        // Update slider
+        this.elements.playbackSlider.value = Math.round((currentTime - playback.start) / 60000);
+        
+        this.updateHeatmap();
+    }
+
+    // Opacity and trail (1 to 0) of a session ended age ms of simulated time
+    // ago, or null once it has faded out
+    getEndedSessionStyle(age) {
+        const { ghostDuration, persistence } = this.historyPlayback;
+        const dimmed = age < persistence ? TautulliMapApp.PERSISTENCE_OPACITY : 0;
+        
+        if (age < ghostDuration) {
+            const fade = 1 - age / ghostDuration;
+            return { opacity: dimmed + (0.9 - dimmed) * fade, trail: fade };
         }
+        return dimmed ? { opacity: dimmed, trail: 0 } : null;
+    }
+
+    updateHeatmapControls() {
+        const disabled = !this.heatmap.enabled;
+        this.elements.heatmapWeight.disabled = disabled;
+        this.elements.heatmapRadius.disabled = disabled;
+        this.elements.heatmapBlur.disabled = disabled;
+    }
+
+    // Heatmap of the whole period, or of the sessions around the playhead
+    // during playback. Intensity is the chosen weight summed per location.
+    updateHeatmap() {
+        if (!this.heatmap.enabled || this.currentMode !== 'history') {
+            this.mapManager.clearHeatmap();
+            return;
+        }
+        
+        let sessions = this.historyData;
+        if (!this.historyPlayback.overview && this.historyPlayback.currentTime !== null) {
+            const currentTime = this.historyPlayback.currentTime;
+            sessions = sessions.filter(session =>
+                session.startTime <= currentTime + this.heatmap.window &&
+                session.stopTime >= currentTime - this.heatmap.window);
+        }
+        
+        const weightOf = {
+            sessions: () => 1,
+            watchTime: session => session.watchedDuration || 0,
+            bandwidth: session => session.stream.bandwidth || 0
+        }[this.heatmap.weight];
+        
+        const byLocation = new Map();
+        sessions.forEach(session => {
+            if (!session.location || session.location.lat == null || session.location.lon == null) return;
+            
+            const locKey = `${session.location.lat},${session.location.lon}`;
+            const point = byLocation.get(locKey) || [session.location.lat, session.location.lon, 0];
+            point[2] += weightOf(session);
+            byLocation.set(locKey, point);
+        });
+        
+        const points = Array.from(byLocation.values());
+        const max = points.reduce((highest, point) => Math.max(highest, point[2]), 0);
+        points.forEach(point => {
+            point[2] = max > 0 ? point[2] / max : 0;
+        });
+        
+        this.mapManager.setHeatmap(points, {
+            radius: this.heatmap.radius,
+            blur: this.heatmap.blur
+        });
     }
 
     showAllHistorySessions() {
@@ -342,18 +769,17 @@ class TautulliMapApp {
             }
         });
         
-        // If sessions have no location, add them to server location with larger offset
+        // If sessions have no location, add them to their server's location with larger offset
         if (sessionsWithoutLocation.length > 0) {
-            const serverLat = config.get('serverLat');
-            const serverLon = config.get('serverLon');
-            const serverKey = `${serverLat},${serverLon}`;
-            
-            if (!sessionsByLocation.has(serverKey)) {
-                sessionsByLocation.set(serverKey, []);
-            }
-            
             // Add sessions without location to server location with special flag
             sessionsWithoutLocation.forEach(session => {
+                const [serverLat, serverLon] = this.mapManager.getServerPosition(session.serverId);
+                const serverKey = `${serverLat},${serverLon}`;
+                
+                if (!sessionsByLocation.has(serverKey)) {
+                    sessionsByLocation.set(serverKey, []);
+                }
+                
                 sessionsByLocation.get(serverKey).push({
                     ...session,
                     noLocation: true,
@@ -361,7 +787,8 @@ class TautulliMapApp {
                         lat: serverLat,
                         lon: serverLon,
                         city: 'Server Location',
-                        country: 'Unknown'
+                        country: 'Unknown',
+                        placeholder: true
                     }
                 });
             });
@@ -371,7 +798,8 @@ class TautulliMapApp {
         
         console.log(`Sessions grouped by ${sessionsByLocation.size} unique locations`);
         
-        // Add all historical sessions as markers with offset for overlapping
+        // Collect all historical sessions with offset for overlapping
+        const items = [];
         sessionsByLocation.forEach((sessions, locKey) => {
             sessions.forEach((session, locIndex) => {
                 // Calculate offset for overlapping markers
@@ -392,33 +820,13 @@ class TautulliMapApp {
                     isHistorical: true
                 };
                 
-                // Add marker
-                const marker = this.mapManager.createUserMarker(position, historicalStream);
-                this.mapManager.markers.set(historicalStream.sessionKey, marker);
-                
-                // Add connection line with color based on bandwidth
-                const serverPos = [config.get('serverLat'), config.get('serverLon')];
-                const bandwidthColor = this.mapManager.getColorForBandwidth(session.stream.bandwidth);
-                
-                const lineStyle = session.noLocation ? {
-                    color: bandwidthColor,
-                    weight: 2,
-                    opacity: 0.6,
-                    dashArray: '5, 10', // Dashed line for no location
-                    className: 'connection-line history-line no-location'
-                } : {
-                    color: bandwidthColor,
-                    weight: 2,
-                    opacity: 0.5,
-                    className: 'connection-line history-line'
-                };
-                
-                const polyline = L.polyline([serverPos, position], lineStyle).addTo(this.mapManager.map);
-                
-                this.mapManager.connections.set(historicalStream.sessionKey, polyline);
+                items.push({ position, stream: historicalStream });
             });
         });
         
+        // Clustered markers, with one connection line per cluster
+        this.mapManager.showHistoryClusters(items);
+        
         // Fit map to show all markers
         if (this.historyData.length > 0) {
             this.mapManager.fitBounds();
@@ -473,70 +881,46 @@ class TautulliMapApp {
         });
     }
 
-    createHistoryTimeline() {
-        // Create a timeline of all unique timestamps
-        const timestamps = new Set();
-        
-        this.historyData.forEach(session => {
-            timestamps.add(session.startTime);
-            timestamps.add(session.stopTime);
-        });
-        
-        // Sort timestamps
-        const timeline = Array.from(timestamps).sort((a, b) => a - b);
-        
-        // Add intermediate timestamps for smoother playback (every hour)
-        const enhancedTimeline = [];
-        for (let i = 0; i < timeline.length - 1; i++) {
-            enhancedTimeline.push(timeline[i]);
-            
-            const diff = timeline[i + 1] - timeline[i];
-            const hourMs = 3600000; // 1 hour in ms
-            
-            if (diff > hourMs) {
-                // Add hourly timestamps
-                let currentTime = timeline[i] + hourMs;
-                while (currentTime < timeline[i + 1]) {
-                    enhancedTimeline.push(currentTime);
-                    currentTime += hourMs;
-                }
-            }
-        }
-        enhancedTimeline.push(timeline[timeline.length - 1]);
-        
-        this.historyPlayback.timeline = enhancedTimeline;
-        console.log(`Created timeline with ${enhancedTimeline.length} points`);
-    }
-
     togglePlayback() {
+        const playback = this.historyPlayback;
         const playButton = document.getElementById('play-pause');
         
-        if (this.historyPlayback.isPlaying) {
+        if (playback.isPlaying) {
             // Pause
-            this.historyPlayback.isPlaying = false;
+            playback.isPlaying = false;
             playButton.textContent = '▶️ Lecture';
             
-            if (this.historyPlayback.timer) {
-                clearInterval(this.historyPlayback.timer);
-                this.historyPlayback.timer = null;
+            if (playback.timer) {
+                clearInterval(playback.timer);
+                playback.timer = null;
             }
         } else {
-            // Play
-            this.historyPlayback.isPlaying = true;
+            if (playback.start === null) return;
+            
+            // Play, from the start when the playhead is at the end
+            if (playback.currentTime === null || playback.currentTime >= playback.end) {
+                playback.currentTime = playback.start;
+            }
+            this.setOverview(false);
+            playback.isPlaying = true;
             playButton.textContent = '⏸️ Pause';
             
-            // Start playback
-            this.historyPlayback.timer = setInterval(() => {
-                this.historyPlayback.currentIndex++;
+            // Advance by the real time elapsed, so frames that run late
+            // don't slow the playback down
+            playback.lastTick = performance.now();
+            playback.timer = setInterval(() => {
+                const now = performance.now();
+                const elapsed = now - playback.lastTick;
+                playback.lastTick = now;
                 
-                if (this.historyPlayback.currentIndex >= this.historyData.length) {
-                    // End of data, stop playback
+                playback.currentTime = Math.min(playback.currentTime + elapsed / 1000 * playback.speed, playback.end);
+                this.showHistoryFrame();
+                
+                if (playback.currentTime >= playback.end) {
+                    // End of the period, stop playback
                     this.togglePlayback();
-                    this.historyPlayback.currentIndex = 0;
-                } else {
-                    this.showHistoryFrame(this.historyPlayback.currentIndex);
                 }
-            }, this.historyPlayback.speed);
+            }, playback.tickInterval);
         }
     }
 
@@ -544,29 +928,129 @@ class TautulliMapApp {
         if (this.historyPlayback.isPlaying) {
             this.togglePlayback();
         }
-        this.historyPlayback.currentIndex = 0;
     }
 
-    seekPlayback(index) {
-        this.showHistoryFrame(index);
+    // Leave the overview to show the playhead, or go back to it
+    setOverview(overview) {
+        if (overview) {
+            this.stopPlayback();
+        }
+        this.historyPlayback.overview = overview;
+        this.elements.playbackOverview.checked = overview;
+        if (this.currentMode === 'history') {
+            this.showHistoryFrame();
+        }
+    }
+
+    seekPlayback(time) {
+        const playback = this.historyPlayback;
+        if (playback.start === null) return;
+        
+        playback.currentTime = Math.min(Math.max(time, playback.start), playback.end);
+        if (playback.overview) {
+            this.setOverview(false);
+        } else {
+            this.showHistoryFrame();
+        }
+    }
+
+    // Move the playhead by what one second of playback covers
+    stepPlayback(direction) {
+        const playback = this.historyPlayback;
+        const from = playback.overview ? playback.start : playback.currentTime;
+        this.seekPlayback(from + direction * playback.speed);
+    }
+
+    jumpToNextSession() {
+        const playback = this.historyPlayback;
+        const from = playback.overview ? -Infinity : playback.currentTime;
+        const next = playback.sessionStarts.find(start => start > from);
+        if (next !== undefined) {
+            this.seekPlayback(next);
+        }
     }
 
     async start() {
         console.log('Starting refresh cycle...');
         
-        // Initial fetch
-        await this.refresh();
+        // The server pushes activity over SSE; polling is only the fallback
+        this.connectLiveFeed();
         
-        // Set up refresh interval
+        // Polling fallback, skipped while the live feed is open
         const interval = config.get('refreshInterval') * 1000;
-        this.refreshInterval = setInterval(() => this.refresh(), interval);
+        this.refreshInterval = setInterval(() => {
+            if (this.liveFeed.state !== 'open') {
+                this.refresh();
+            }
+        }, interval);
     }
 
-    pause() {
+    connectLiveFeed() {
+        this.closeLiveFeed();
+        
+        const source = new EventSource(config.liveStreamUrl);
+        this.liveFeed.source = source;
+        this.liveFeed.state = 'connecting';
+        
+        source.addEventListener('open', () => {
+            console.log('Live feed connected');
+            this.liveFeed.state = 'open';
+        });
+        
+        source.addEventListener('activity', (e) => {
+            const data = JSON.parse(e.data);
+            this.liveFeed.streams = data.streams;
+            this.liveFeed.tautulliConnected = data.tautulliConnected;
+            this.refresh();
+        });
+        
+        // Alert rules are checked by the server, tabs only show them
+        source.addEventListener('alert', (e) => {
+            this.showAlertNotification(JSON.parse(e.data));
+        });
+        
+        source.addEventListener('error', () => {
+            // EventSource reconnects by itself, poll until it does
+            const wasOpen = this.liveFeed.state === 'open';
+            console.warn('Live feed connection lost, falling back to polling');
+            this.liveFeed.state = 'reconnecting';
+            this.liveFeed.streams = null;
+            this.updateConnectionStatus(this.isConnected);
+            
+            if (wasOpen || this.lastUpdate === null) {
+                this.refresh();
+            }
+        });
+    }
+
+    showAlertNotification(alert) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') {
+            console.log(`Alert: ${alert.text}`);
+            return;
+        }
+        // Every open tab gets the alert: the shared tag shows it once
+        new Notification(alert.title, { body: alert.message, tag: alert.id });
+    }
+
+    closeLiveFeed() {
+        if (this.liveFeed.source) {
+            this.liveFeed.source.close();
+            this.liveFeed.source = null;
+        }
+        this.liveFeed.state = 'closed';
+        this.liveFeed.streams = null;
+    }
+
+    stopLiveUpdates() {
+        this.closeLiveFeed();
         if (this.refreshInterval) {
             clearInterval(this.refreshInterval);
             this.refreshInterval = null;
         }
+    }
+
+    pause() {
+        this.stopLiveUpdates();
         
         // Also stop history playback if running
         if (this.historyPlayback.isPlaying) {
@@ -587,9 +1071,13 @@ class TautulliMapApp {
         try {
             console.log('Refreshing data...');
             
-            // Get active streams
-            const streams = await this.api.getActiveStreams();
-            console.log(`App received ${streams.length} streams from API`);
+            // Get active streams from the live feed, or poll them when it is down
+            const fromFeed = this.liveFeed.state === 'open' && this.liveFeed.streams !== null;
+            const allStreams = fromFeed ? this.liveFeed.streams : await this.api.getActiveStreams();
+            const serverStreams = this.filterByServer(allStreams);
+            this.filters.updateOptions(serverStreams);
+            const streams = this.filters.apply(serverStreams);
+            console.log(`App received ${allStreams.length} streams from ${fromFeed ? 'live feed' : 'API'}, ${streams.length} shown`);
             
             // Log stream details for debugging
             streams.forEach(stream => {
@@ -597,10 +1085,11 @@ class TautulliMapApp {
             });
             
             // Update connection status
-            this.updateConnectionStatus(true);
+            this.updateConnectionStatus(fromFeed ? this.liveFeed.tautulliConnected : true);
             
             // Update map
             this.mapManager.updateStreams(streams);
+            this.updateSuspiciousActivity(streams);
             
             // Update UI
             this.updateUI(streams);
@@ -648,7 +1137,8 @@ class TautulliMapApp {
                 <div class="user-name">${stream.username}</div>
                 <div class="user-details">
                     <div>${TautulliAPI.formatMediaTitle(stream.media)}</div>
-                    <div>${stream.location.city}, ${stream.location.country}</div>
+                    <div>${stream.location.city}, ${stream.location.country}${stream.location.manual ? ' 📌' : ''}</div>
+                    ${this.formatStreamDistance(stream)}
                     <div class="bandwidth">Débit: ${TautulliAPI.formatBandwidth(stream.stream.bandwidth)}</div>
                     <div>Qualité: ${stream.stream.quality}</div>
                 </div>
@@ -668,8 +1158,19 @@ class TautulliMapApp {
 
     updateConnectionStatus(connected) {
         this.isConnected = connected;
-        this.elements.connectionStatus.textContent = connected ? 'Connecté' : 'Déconnecté';
-        this.elements.connectionStatus.className = connected ? 'status-indicator connected' : 'status-indicator';
+        
+        let text = connected ? 'Connecté' : 'Déconnecté';
+        let className = connected ? 'status-indicator connected' : 'status-indicator';
+        
+        if (this.liveFeed.state === 'open' && connected) {
+            text = 'Connecté (temps réel)';
+        } else if (this.liveFeed.state === 'reconnecting') {
+            text = connected ? 'Reconnexion… (polling)' : 'Reconnexion…';
+            className = 'status-indicator reconnecting';
+        }
+        
+        this.elements.connectionStatus.textContent = text;
+        this.elements.connectionStatus.className = className;
     }
 
     updateLastUpdateTime() {
@@ -743,9 +1244,7 @@ class TautulliMapApp {
 
     // Clean up
     destroy() {
-        if (this.refreshInterval) {
-            clearInterval(this.refreshInterval);
-        }
+        this.stopLiveUpdates();
         if (this.updateTimeInterval) {
             clearInterval(this.updateTimeInterval);
         }
@@ -755,6 +1254,9 @@ class TautulliMapApp {
     }
 }
 
+// Opacity of ended sessions kept by the playback persistence window
+TautulliMapApp.PERSISTENCE_OPACITY = 0.3;
+
 // Initialize app when DOM is ready
 document.addEventListener('DOMContentLoaded', async () => {
     // Always wait for config to be loaded from server
@@ -0,0 +1,159 @@
+// Authentication and roles
+class AuthManager {
+    constructor() {
+        this.authApiUrl = '/api/auth';
+        this.status = {
+            role: null,
+            authenticated: false,
+            setupRequired: false,
+            viewerPasswordRequired: false
+        };
+        this.ready = this.refresh();
+    }
+
+    async refresh() {
+        try {
+            const response = await fetch(`${this.authApiUrl}/status`);
+            if (response.ok) {
+                this.status = await response.json();
+                console.log('Auth status:', this.status);
+            } else {
+                console.warn('Server returned non-OK auth status:', response.status);
+            }
+        } catch (error) {
+            console.warn('Failed to load auth status:', error);
+        }
+        return this.status;
+    }
+
+    isAdmin() {
+        return this.status.role === 'admin';
+    }
+
+    canView() {
+        return Boolean(this.status.role);
+    }
+
+    // Ask the user to log in (or to create the admin password on first run)
+    requireLogin(detail = {}) {
+        if (detail.setupRequired !== undefined) {
+            this.status.setupRequired = detail.setupRequired;
+        }
+        window.dispatchEvent(new CustomEvent('authRequired', { detail: this.status }));
+    }
+
+    async login(password) {
+        const endpoint = this.status.setupRequired ? 'setup' : 'login';
+        const response = await fetch(`${this.authApiUrl}/${endpoint}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ password })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Login failed');
+        }
+
+        await this.refresh();
+        window.dispatchEvent(new CustomEvent('authChanged', { detail: this.status }));
+        return this.status;
+    }
+
+    async logout() {
+        try {
+            await fetch(`${this.authApiUrl}/logout`, { method: 'POST' });
+        } catch (error) {
+            console.error('Error logging out:', error);
+        }
+
+        await this.refresh();
+        window.dispatchEvent(new CustomEvent('authChanged', { detail: this.status }));
+
+        if (!this.canView()) {
+            this.requireLogin();
+        }
+    }
+}
+
+// Login prompt
+class LoginModal {
+    constructor(auth) {
+        this.auth = auth;
+        this.modal = document.getElementById('login-modal');
+        this.form = document.getElementById('login-form');
+        this.title = document.getElementById('login-title');
+        this.passwordInput = document.getElementById('login-password');
+        this.errorEl = document.getElementById('login-error');
+        this.authBtn = document.getElementById('auth-btn');
+
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('authRequired', () => this.open());
+        window.addEventListener('authChanged', () => this.updateAuthButton());
+        this.auth.ready.then(() => this.updateAuthButton());
+
+        // Viewers can close the prompt and keep watching the map
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal && this.auth.canView()) {
+                this.close();
+            }
+        });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        if (this.authBtn) {
+            this.authBtn.addEventListener('click', () => {
+                if (this.auth.status.authenticated) {
+                    this.auth.logout();
+                } else {
+                    this.open();
+                }
+            });
+        }
+    }
+
+    updateAuthButton() {
+        if (!this.authBtn) return;
+
+        const authenticated = this.auth.status.authenticated;
+        this.authBtn.textContent = authenticated ? '🚪' : '🔑';
+        this.authBtn.title = authenticated ? 'Se déconnecter' : 'Se connecter';
+    }
+
+    open() {
+        const setupRequired = this.auth.status.setupRequired;
+        this.title.textContent = setupRequired ? 'Créer le mot de passe administrateur' : 'Connexion';
+        this.passwordInput.autocomplete = setupRequired ? 'new-password' : 'current-password';
+        this.passwordInput.value = '';
+        this.errorEl.textContent = '';
+        this.modal.style.display = 'block';
+        this.passwordInput.focus();
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    async submit() {
+        this.errorEl.textContent = '';
+        try {
+            await this.auth.login(this.passwordInput.value);
+            this.close();
+        } catch (error) {
+            console.error('Login failed:', error);
+            this.errorEl.textContent = error.message;
+        }
+    }
+}
+
+// Export instances
+const auth = new AuthManager();
+const loginModal = new LoginModal(auth);
@@ -0,0 +1,161 @@
+// Countries shaded by history statistics, from the bundled world boundaries
+class CountryChoropleth {
+    constructor(mapManager) {
+        this.mapManager = mapManager;
+        this.features = null; // Loaded once, on first use
+        this.layer = null;
+        this.legend = null;
+        this.selected = null; // Clicked feature, filtering the history
+        this.onSelect = null; // Called with the selected feature or null
+    }
+
+    async loadFeatures() {
+        if (this.features) {
+            return this.features;
+        }
+
+        const response = await fetch(CountryChoropleth.GEOJSON_URL);
+        if (!response.ok) {
+            throw new Error(`Failed to load country boundaries: ${response.status}`);
+        }
+        const geojson = await response.json();
+
+        // Index every known name (Natural Earth, ISO, MaxMind/Tautulli) and code
+        this.byCode = new Map();
+        this.byName = new Map();
+        geojson.features.forEach(feature => {
+            if (feature.properties.iso) {
+                this.byCode.set(feature.properties.iso, feature);
+            }
+            feature.properties.names.forEach(name => this.byName.set(name.toLowerCase(), feature));
+        });
+
+        this.features = geojson.features;
+        return this.features;
+    }
+
+    // Boundary feature of a country from its GeoIP name or code, or null
+    // (also for 'LAN' and 'Unknown')
+    findFeature(country, countryCode) {
+        if (!this.features) return null;
+        return (countryCode && this.byCode.get(countryCode)) ||
+            (country && this.byName.get(country.toLowerCase())) || null;
+    }
+
+    // Whether a session was located in the selected country
+    matchesSelection(session) {
+        return Boolean(session.location) &&
+            this.findFeature(session.location.country, session.location.countryCode) === this.selected;
+    }
+
+    // Shade countries by one metric of getHistoryStats' byCountry
+    async show(byCountry, metricName) {
+        const metric = CountryChoropleth.METRICS[metricName];
+        await this.loadFeatures();
+        this.hide();
+
+        // GeoIP providers may name a country differently: add them up
+        // (unique users of both are summed, an overestimate at worst)
+        const totals = new Map();
+        Object.entries(byCountry).forEach(([country, stats]) => {
+            const feature = this.findFeature(country, stats.countryCode);
+            if (!feature) return;
+
+            const total = totals.get(feature) || { sessions: 0, watchTime: 0, uniqueUsers: 0 };
+            total.sessions += stats.sessions;
+            total.watchTime += stats.watchTime;
+            total.uniqueUsers += stats.uniqueUsers;
+            totals.set(feature, total);
+        });
+
+        const max = Math.max(0, ...Array.from(totals.values()).map(total => total[metric.key]));
+        const grades = CountryChoropleth.COLORS.map((color, index) => ({
+            color,
+            from: max * index / CountryChoropleth.COLORS.length
+        }));
+        const colorFor = (value) => {
+            if (!value) return null;
+            return grades.filter(grade => value > grade.from).pop().color;
+        };
+
+        if (!this.mapManager.map.getPane('choropleth')) {
+            // Above the tiles, under lines and markers
+            this.mapManager.map.createPane('choropleth').style.zIndex = 350;
+        }
+
+        this.layer = L.geoJSON({ type: 'FeatureCollection', features: this.features }, {
+            pane: 'choropleth',
+            style: (feature) => {
+                const color = colorFor(totals.get(feature)?.[metric.key]);
+                return {
+                    color: feature === this.selected ? '#ffffff' : '#555555',
+                    weight: feature === this.selected ? 2 : 0.5,
+                    fillColor: color || '#000000',
+                    fillOpacity: color ? 0.6 : 0
+                };
+            },
+            onEachFeature: (feature, layer) => {
+                const total = totals.get(feature) || { sessions: 0, watchTime: 0, uniqueUsers: 0 };
+                layer.bindTooltip(`
+                    <div class="movie-title">${feature.properties.name}</div>
+                    <div>Sessions: ${total.sessions}</div>
+                    <div>Temps: ${CountryChoropleth.formatHours(total.watchTime)}</div>
+                    <div>Utilisateurs: ${total.uniqueUsers}</div>
+                    ${total.sessions ? '<div class="tooltip-action">Cliquer pour filtrer sur ce pays</div>' : ''}
+                `, { sticky: true, className: 'custom-tooltip' });
+
+                layer.on('click', () => {
+                    if (!totals.has(feature)) return;
+                    this.selected = feature === this.selected ? null : feature;
+                    if (this.onSelect) {
+                        this.onSelect(this.selected);
+                    }
+                });
+            }
+        }).addTo(this.mapManager.map);
+
+        this.legend = L.control({ position: 'bottomright' });
+        this.legend.onAdd = () => {
+            const div = L.DomUtil.create('div', 'map-legend');
+            div.innerHTML = `<div class="legend-title">${metric.label}</div>` + grades.map((grade, index) => {
+                const to = grades[index + 1] ? grades[index + 1].from : max;
+                return `<div><span class="legend-swatch" style="background-color: ${grade.color}"></span>` +
+                    `${metric.format(grade.from)} – ${metric.format(to)}</div>`;
+            }).join('');
+            return div;
+        };
+        this.legend.addTo(this.mapManager.map);
+    }
+
+    hide() {
+        if (this.layer) {
+            this.mapManager.map.removeLayer(this.layer);
+            this.layer = null;
+        }
+        if (this.legend) {
+            this.legend.remove();
+            this.legend = null;
+        }
+    }
+
+    clearSelection() {
+        this.selected = null;
+    }
+
+    static formatHours(seconds) {
+        const hours = seconds / 3600;
+        return `${hours < 10 ? hours.toFixed(1) : Math.round(hours)} h`;
+    }
+}
+
+// Served by the app itself: Natural Earth 1:110m boundaries (public domain)
+CountryChoropleth.GEOJSON_URL = 'data/world-countries.geojson';
+
+// Light to dark, one per legend grade
+CountryChoropleth.COLORS = ['#fff3d6', '#fcd68a', '#f5b342', '#e5a00d', '#a86d00'];
+
+CountryChoropleth.METRICS = {
+    sessions: { key: 'sessions', label: 'Sessions', format: value => Math.round(value) },
+    watchTime: { key: 'watchTime', label: 'Temps de visionnage', format: value => CountryChoropleth.formatHours(value) },
+    users: { key: 'uniqueUsers', label: 'Utilisateurs uniques', format: value => Math.round(value) }
+};
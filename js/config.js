@@ -3,16 +3,42 @@ class Config {
     constructor() {
         this.storageKey = 'tautulli-map-config';
         this.configApiUrl = '/api/config';
+        this.tautulliProxyUrl = '/api/tautulli';
+        this.historyApiUrl = '/api/history';
+        this.liveStreamUrl = '/api/live/stream';
+        this.geoipApiUrl = '/api/geoip';
+        this.geoipCacheApiUrl = '/api/geoip-cache';
+        this.alertTestApiUrl = '/api/alerts/test';
         this.defaultConfig = {
-            tautulliUrl: 'http://localhost:8181',
-            apiKey: '',
-            serverLat: 48.856614,  // Paris par défaut
-            serverLon: 2.352222,
+            servers: [],  // { id, name, tautulliUrl, apiKey, lat, lon, color }
             refreshInterval: 30,
-            mapStyle: 'dark'
+            mapStyle: 'dark',
+            colorScheme: 'bandwidth',  // 'bandwidth', 'decision', 'mediaType', 'platform', 'user' or 'server'
+            bandwidthColors: [  // { min (kbps), color }
+                { min: 20000, color: '#ff4444' },
+                { min: 10000, color: '#ff8844' },
+                { min: 5000, color: '#ffaa44' },
+                { min: 2000, color: '#ffcc44' },
+                { min: 0, color: '#44ff44' }
+            ],
+            archiveEnabled: true,
+            archivePollMinutes: 15,
+            archiveBackfillDays: 30,
+            geoipCacheTtlHours: 720,
+            geoipNegativeTtlHours: 6,
+            geoipProviders: ['mmdb', 'tautulli'],
+            geoipDatabasePath: 'geoip/GeoLite2-City.mmdb',
+            geoipAsnDatabasePath: 'geoip/GeoLite2-ASN.mmdb',
+            internalRanges: [],  // { cidr, label, lat, lon }
+            locationOverrides: [],  // { type: 'userId'|'username'|'ip', value, label, lat, lon }
+            alertRules: [],  // { type, threshold, channel: 'browser'|'webhook'|'both' }
+            alertWebhookUrl: ''
         };
         this.config = this.defaultConfig;
         this.loadConfig(); // Load asynchronously
+
+        // Reload once the user has logged in
+        window.addEventListener('authChanged', () => this.loadConfig());
     }
 
     async loadConfig() {
@@ -22,11 +48,17 @@ class Config {
             const response = await fetch(this.configApiUrl);
             console.log('Server config response status:', response.status);
             
+            if (response.status === 401) {
+                // Wait for the login prompt, authChanged will reload the config
+                auth.requireLogin(await response.json());
+                return;
+            }
+
             if (response.ok) {
                 const serverConfig = await response.json();
                 console.log('Server config data:', serverConfig);
                 
-                if (Object.keys(serverConfig).length > 0 && serverConfig.apiKey) {
+                if ((serverConfig.servers || []).some(server => server.apiKey)) {
                     this.config = { ...this.defaultConfig, ...serverConfig };
                     // Also update localStorage for offline fallback
                     localStorage.setItem(this.storageKey, JSON.stringify(this.config));
@@ -36,7 +68,7 @@ class Config {
                     window.dispatchEvent(new CustomEvent('configLoaded', { detail: this.config }));
                     return;
                 } else {
-                    console.log('Server config is empty or missing apiKey, falling back to localStorage');
+                    console.log('Server config has no configured server, falling back to localStorage');
                 }
             } else {
                 console.warn('Server returned non-OK status:', response.status);
@@ -61,11 +93,7 @@ class Config {
     }
 
     async save() {
-        // Save to localStorage first (immediate)
-        localStorage.setItem(this.storageKey, JSON.stringify(this.config));
-        console.log('Configuration saved to localStorage:', this.config);
-
-        // Then save to server
+        // Save to server first, the API key is only kept there
         try {
             const response = await fetch(this.configApiUrl, {
                 method: 'POST',
@@ -75,14 +103,38 @@ class Config {
                 body: JSON.stringify(this.config)
             });
             
+            if (response.status === 401 || response.status === 403) {
+                console.error('Not allowed to save config to server');
+                auth.requireLogin(await response.json());
+                return { success: false };
+            }
+
+            if (response.status === 400) {
+                const result = await response.json();
+                console.error('Server rejected config:', result.fields);
+                return { success: false, errors: result.fields || {} };
+            }
+
             if (response.ok) {
                 console.log('Configuration saved to server');
             } else {
                 console.error('Failed to save config to server');
+                return { success: false, message: 'Échec de l\'enregistrement sur le serveur' };
             }
         } catch (error) {
             console.error('Error saving config to server:', error);
+            return { success: false, message: 'Serveur injoignable' };
         }
+
+        // Keep only the masked keys in the browser
+        this.config.servers = this.config.servers.map(server =>
+            server.apiKey ? { ...server, apiKey: Config.MASKED_API_KEY } : server);
+        if (this.config.alertWebhookUrl) {
+            this.config.alertWebhookUrl = Config.MASKED_API_KEY;
+        }
+        localStorage.setItem(this.storageKey, JSON.stringify(this.config));
+        console.log('Configuration saved to localStorage:', this.config);
+        return { success: true };
     }
 
     get(key) {
@@ -93,17 +145,125 @@ class Config {
         this.config[key] = value;
     }
 
+    // Returns { success, errors, message }; the previous config is kept if the save fails
     async setAll(newConfig) {
+        const previousConfig = this.config;
         this.config = { ...this.config, ...newConfig };
-        await this.save();
+        const result = await this.save();
+        if (!result.success) {
+            this.config = previousConfig;
+        }
+        return result;
     }
 
     isConfigured() {
-        return this.config.apiKey && this.config.apiKey.length > 0;
+        return this.getServers().length > 0;
+    }
+
+    // Servers with a Tautulli URL and API key
+    getServers() {
+        return (this.config.servers || []).filter(server => server.tautulliUrl && server.apiKey);
     }
 
-    getTautulliApiUrl() {
-        return `${this.config.tautulliUrl}/api/v2`;
+    getServer(id) {
+        return this.getServers().find(server => server.id === id) || null;
+    }
+
+    // Tautulli calls go through the server proxy, which holds the API key
+    getTautulliProxyUrl(cmd) {
+        return `${this.tautulliProxyUrl}/${cmd}`;
+    }
+}
+
+// Placeholder the server returns instead of the real API keys and webhook URL
+Config.MASKED_API_KEY = '********';
+
+// Editable list of objects in the settings form, one input per column
+class ListEditor {
+    constructor(container, columns, addLabel) {
+        this.container = container;
+        this.columns = columns;  // { key, label, type, placeholder, step, options, default }
+
+        this.rows = document.createElement('div');
+        this.rows.className = 'list-editor-rows';
+
+        const addBtn = document.createElement('button');
+        addBtn.type = 'button';
+        addBtn.className = 'secondary-button';
+        addBtn.textContent = addLabel;
+        addBtn.addEventListener('click', () => this.addRow());
+
+        this.container.append(this.rows, addBtn);
+    }
+
+    setItems(items) {
+        this.rows.innerHTML = '';
+        items.forEach(item => this.addRow(item));
+    }
+
+    addRow(item = {}) {
+        const row = document.createElement('div');
+        row.className = 'list-editor-row';
+
+        for (const column of this.columns) {
+            let input;
+            if (column.options) {
+                input = document.createElement('select');
+                for (const option of column.options) {
+                    input.add(new Option(option.label, option.value));
+                }
+            } else {
+                input = document.createElement('input');
+                input.type = column.type || 'text';
+                input.placeholder = column.placeholder || column.label;
+                if (column.step) {
+                    input.step = column.step;
+                }
+            }
+            input.dataset.key = column.key;
+            input.title = column.label;
+            input.value = item[column.key] ?? this.getDefault(column);
+            row.appendChild(input);
+        }
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'secondary-button';
+        removeBtn.title = 'Supprimer';
+        removeBtn.textContent = '✕';
+        removeBtn.addEventListener('click', () => row.remove());
+        row.appendChild(removeBtn);
+
+        this.rows.appendChild(row);
+    }
+
+    // Value of a column in a new row, column.default may be a function
+    getDefault(column) {
+        if (typeof column.default === 'function') {
+            return column.default();
+        }
+        if (column.default !== undefined) {
+            return column.default;
+        }
+        return column.options ? column.options[0].value : '';
+    }
+
+    getItems() {
+        return Array.from(this.rows.children).map(row => {
+            const item = {};
+            for (const column of this.columns) {
+                const value = row.querySelector(`[data-key="${column.key}"]`).value.trim();
+                item[column.key] = column.type === 'number' ? parseFloat(value) : value;
+            }
+            return item;
+        });
+    }
+
+    // Input for a validation error path such as "internalRanges.0.cidr"
+    findInput(path) {
+        const [, index, key] = path.split('.');
+        const row = this.rows.children[index];
+        return row && key ? row.querySelector(`[data-key="${key}"]`) : null;
     }
 }
 
@@ -114,7 +274,63 @@ class ConfigModal {
         this.modal = document.getElementById('config-modal');
         this.form = document.getElementById('config-form');
         this.settingsBtn = document.getElementById('settings-btn');
+        this.errorEl = document.getElementById('config-error');
         this.isInitialized = false;
+
+        // Config field -> form input, used to show server validation errors
+        this.fieldInputs = {
+            servers: 'servers',
+            refreshInterval: 'refresh-interval',
+            colorScheme: 'color-scheme',
+            bandwidthColors: 'bandwidth-colors',
+            archiveEnabled: 'archive-enabled',
+            archivePollMinutes: 'archive-poll-minutes',
+            archiveBackfillDays: 'archive-backfill-days',
+            geoipCacheTtlHours: 'geoip-cache-ttl',
+            geoipNegativeTtlHours: 'geoip-negative-ttl',
+            geoipProviders: 'geoip-providers',
+            geoipDatabasePath: 'geoip-database-path',
+            geoipAsnDatabasePath: 'geoip-asn-database-path',
+            internalRanges: 'internal-ranges',
+            locationOverrides: 'location-overrides',
+            alertRules: 'alert-rules',
+            alertWebhookUrl: 'alert-webhook-url'
+        };
+
+        // Config fields edited as lists
+        this.listEditors = {
+            servers: new ListEditor(document.getElementById('servers'), [
+                { key: 'id', label: 'ID', type: 'hidden', default: () => `srv-${Math.random().toString(36).slice(2, 10)}` },
+                { key: 'name', label: 'Nom', placeholder: 'Plex Paris' },
+                { key: 'tautulliUrl', label: 'URL Tautulli', type: 'url', placeholder: 'http://localhost:8181' },
+                { key: 'apiKey', label: 'Clé API', placeholder: 'Clé API Tautulli' },
+                { key: 'lat', label: 'Latitude', type: 'number', step: '0.000001', default: 48.856614 },  // Paris par défaut
+                { key: 'lon', label: 'Longitude', type: 'number', step: '0.000001', default: 2.352222 },
+                { key: 'color', label: 'Couleur', type: 'color', default: '#4caf50' }
+            ], 'Ajouter un serveur'),
+            bandwidthColors: new ListEditor(document.getElementById('bandwidth-colors'), [
+                { key: 'min', label: 'Au-delà de (kbps)', type: 'number', step: '1', default: 0 },
+                { key: 'color', label: 'Couleur', type: 'color', default: '#44ff44' }
+            ], 'Ajouter un seuil'),
+            internalRanges: new ListEditor(document.getElementById('internal-ranges'), [
+                { key: 'cidr', label: 'Réseau (CIDR)', placeholder: '10.8.0.0/24' },
+                { key: 'label', label: 'Nom', placeholder: 'VPN bureau' },
+                { key: 'lat', label: 'Latitude', type: 'number', step: '0.000001' },
+                { key: 'lon', label: 'Longitude', type: 'number', step: '0.000001' }
+            ], 'Ajouter une plage'),
+            locationOverrides: new ListEditor(document.getElementById('location-overrides'), [
+                { key: 'type', label: 'Critère', options: ConfigModal.OVERRIDE_TYPES },
+                { key: 'value', label: 'Valeur', placeholder: 'ID, nom ou IP/CIDR' },
+                { key: 'label', label: 'Lieu', placeholder: 'Lyon' },
+                { key: 'lat', label: 'Latitude', type: 'number', step: '0.000001' },
+                { key: 'lon', label: 'Longitude', type: 'number', step: '0.000001' }
+            ], 'Ajouter une localisation'),
+            alertRules: new ListEditor(document.getElementById('alert-rules'), [
+                { key: 'type', label: 'Alerte', options: ConfigModal.ALERT_TYPES },
+                { key: 'threshold', label: 'Seuil (Mbps ou lectures)', type: 'number', step: 'any' },
+                { key: 'channel', label: 'Envoi', options: ConfigModal.ALERT_CHANNELS }
+            ], 'Ajouter une alerte')
+        };
         
         this.init();
     }
@@ -136,56 +352,253 @@ class ConfigModal {
             this.save();
         });
 
+        document.getElementById('geoip-cache-purge').addEventListener('click', () => {
+            this.purgeGeoIPCache();
+        });
+
+        document.getElementById('alert-test').addEventListener('click', () => {
+            this.testAlert();
+        });
+
         // Wait for config to be loaded before checking if we need to show modal
-        window.addEventListener('configLoaded', () => {
+        window.addEventListener('configLoaded', async () => {
+            await auth.ready;
             this.updateFormFields();
+            this.applyRole();
+            this.isInitialized = true;
             
             // Only show modal if not configured after loading from server
             if (!this.config.isConfigured()) {
                 this.open();
             }
-            
-            this.isInitialized = true;
         }, { once: true });
+
+        window.addEventListener('authChanged', () => {
+            this.applyRole();
+            if (this.isInitialized && auth.isAdmin() && !this.config.isConfigured()) {
+                this.open();
+            }
+        });
+    }
+
+    // Only admins can see and use the settings
+    applyRole() {
+        if (this.settingsBtn) {
+            this.settingsBtn.style.display = auth.isAdmin() ? '' : 'none';
+        }
+        if (!auth.isAdmin()) {
+            this.close();
+        }
     }
 
     updateFormFields() {
-        // Populate form with current config
-        document.getElementById('tautulli-url').value = this.config.get('tautulliUrl');
-        document.getElementById('api-key').value = this.config.get('apiKey');
-        document.getElementById('server-lat').value = this.config.get('serverLat');
-        document.getElementById('server-lon').value = this.config.get('serverLon');
+        // Populate form with current config, with an empty server row on first setup
+        const servers = this.config.get('servers');
+        this.listEditors.servers.setItems(servers.length > 0 ? servers : [{}]);
         document.getElementById('refresh-interval').value = this.config.get('refreshInterval');
+        document.getElementById('color-scheme').value = this.config.get('colorScheme');
+        this.listEditors.bandwidthColors.setItems(this.config.get('bandwidthColors'));
+        document.getElementById('archive-enabled').checked = this.config.get('archiveEnabled');
+        document.getElementById('archive-poll-minutes').value = this.config.get('archivePollMinutes');
+        document.getElementById('archive-backfill-days').value = this.config.get('archiveBackfillDays');
+        document.getElementById('geoip-cache-ttl').value = this.config.get('geoipCacheTtlHours');
+        document.getElementById('geoip-negative-ttl').value = this.config.get('geoipNegativeTtlHours');
+        document.getElementById('geoip-providers').value = this.config.get('geoipProviders').join(',');
+        document.getElementById('geoip-database-path').value = this.config.get('geoipDatabasePath');
+        document.getElementById('geoip-asn-database-path').value = this.config.get('geoipAsnDatabasePath');
+        this.listEditors.internalRanges.setItems(this.config.get('internalRanges'));
+        this.listEditors.locationOverrides.setItems(this.config.get('locationOverrides'));
+        this.listEditors.alertRules.setItems(this.config.get('alertRules'));
+        document.getElementById('alert-webhook-url').value = this.config.get('alertWebhookUrl');
+        document.getElementById('alert-test-status').textContent = '';
     }
 
     open() {
+        if (!auth.isAdmin()) {
+            auth.requireLogin();
+            return;
+        }
         if (this.isInitialized) {
             this.updateFormFields();
         }
+        this.clearErrors();
+        this.loadGeoIPCacheStats();
         this.modal.style.display = 'block';
     }
 
+    async loadGeoIPCacheStats() {
+        const statsEl = document.getElementById('geoip-cache-stats');
+        try {
+            const response = await fetch(this.config.geoipCacheApiUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const { stats } = await response.json();
+            statsEl.textContent = `Cache GeoIP : ${stats.entries} entrées (${stats.negative} échecs)`;
+        } catch (error) {
+            console.error('Failed to load GeoIP cache stats:', error);
+            statsEl.textContent = 'Cache GeoIP : indisponible';
+        }
+    }
+
+    async purgeGeoIPCache() {
+        try {
+            const response = await fetch(this.config.geoipCacheApiUrl, { method: 'DELETE' });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+        } catch (error) {
+            console.error('Failed to purge GeoIP cache:', error);
+        }
+        await this.loadGeoIPCacheStats();
+    }
+
+    // Browser notification and webhook call with the rules being edited, so
+    // both can be checked before saving
+    async testAlert() {
+        const statusEl = document.getElementById('alert-test-status');
+        const results = [];
+
+        if (!('Notification' in window)) {
+            results.push('notifications non prises en charge par ce navigateur');
+        } else if (await Notification.requestPermission() === 'granted') {
+            new Notification('Test d\'alerte', { body: 'Les notifications Tautulli Map fonctionnent' });
+            results.push('notification envoyée');
+        } else {
+            results.push('notifications refusées par le navigateur');
+        }
+
+        const webhookUrl = document.getElementById('alert-webhook-url').value.trim();
+        if (webhookUrl) {
+            try {
+                const response = await fetch(this.config.alertTestApiUrl, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ webhookUrl })
+                });
+                const result = await response.json();
+                results.push(response.ok ? 'webhook appelé' : `échec du webhook (${result.error})`);
+            } catch (error) {
+                console.error('Failed to test alert webhook:', error);
+                results.push('serveur injoignable');
+            }
+        }
+
+        const text = results.join(', ');
+        statusEl.textContent = text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // Rules from the list editor, without a threshold where the type has none
+    getAlertRules() {
+        return this.listEditors.alertRules.getItems().map(rule => {
+            if (ConfigModal.ALERT_TYPES.find(type => type.value === rule.type).threshold) {
+                return rule;
+            }
+            const { threshold, ...rest } = rule;
+            return rest;
+        });
+    }
+
     close() {
         this.modal.style.display = 'none';
     }
 
     async save() {
         const newConfig = {
-            tautulliUrl: document.getElementById('tautulli-url').value,
-            apiKey: document.getElementById('api-key').value,
-            serverLat: parseFloat(document.getElementById('server-lat').value),
-            serverLon: parseFloat(document.getElementById('server-lon').value),
-            refreshInterval: parseInt(document.getElementById('refresh-interval').value)
+            servers: this.listEditors.servers.getItems(),
+            refreshInterval: parseInt(document.getElementById('refresh-interval').value),
+            colorScheme: document.getElementById('color-scheme').value,
+            bandwidthColors: this.listEditors.bandwidthColors.getItems(),
+            archiveEnabled: document.getElementById('archive-enabled').checked,
+            archivePollMinutes: parseInt(document.getElementById('archive-poll-minutes').value),
+            archiveBackfillDays: parseInt(document.getElementById('archive-backfill-days').value),
+            geoipCacheTtlHours: parseInt(document.getElementById('geoip-cache-ttl').value),
+            geoipNegativeTtlHours: parseInt(document.getElementById('geoip-negative-ttl').value),
+            geoipProviders: document.getElementById('geoip-providers').value.split(','),
+            geoipDatabasePath: document.getElementById('geoip-database-path').value,
+            geoipAsnDatabasePath: document.getElementById('geoip-asn-database-path').value,
+            internalRanges: this.listEditors.internalRanges.getItems(),
+            locationOverrides: this.listEditors.locationOverrides.getItems(),
+            alertRules: this.getAlertRules(),
+            alertWebhookUrl: document.getElementById('alert-webhook-url').value.trim()
         };
 
-        await this.config.setAll(newConfig);
+        // Saving is a click: ask now, notifications can't ask by themselves
+        if (newConfig.alertRules.some(rule => rule.channel !== 'webhook') &&
+            'Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+
+        this.clearErrors();
+        const result = await this.config.setAll(newConfig);
+        if (!result.success) {
+            this.showErrors(result.errors || {}, result.message);
+            return;
+        }
         this.close();
         
         // Trigger config updated event
         window.dispatchEvent(new CustomEvent('configUpdated', { detail: newConfig }));
     }
+
+    // Show server validation errors next to the matching inputs
+    showErrors(errors, message) {
+        const unmatched = [];
+
+        for (const [field, error] of Object.entries(errors)) {
+            const topField = field.split('.')[0];
+            const inputId = this.fieldInputs[topField];
+            const listInput = this.listEditors[topField] && this.listEditors[topField].findInput(field);
+            const input = listInput || (inputId && document.getElementById(inputId));
+            if (!input) {
+                unmatched.push(`${field}: ${error}`);
+                continue;
+            }
+
+            input.classList.add('invalid');
+            const errorEl = document.createElement('div');
+            errorEl.className = 'form-error field-error';
+            errorEl.textContent = error;
+            // List inputs share a row, show the message below it
+            (input.closest('.list-editor-row') || input).insertAdjacentElement('afterend', errorEl);
+        }
+
+        if (message) {
+            unmatched.unshift(message);
+        }
+        this.errorEl.textContent = unmatched.join('\n');
+    }
+
+    clearErrors() {
+        this.form.querySelectorAll('.field-error').forEach(el => el.remove());
+        this.form.querySelectorAll('.invalid').forEach(el => el.classList.remove('invalid'));
+        this.errorEl.textContent = '';
+    }
 }
 
+// What a manual location override is matched on
+ConfigModal.OVERRIDE_TYPES = [
+    { value: 'userId', label: 'ID utilisateur' },
+    { value: 'username', label: 'Nom d\'utilisateur' },
+    { value: 'ip', label: 'IP / CIDR' }
+];
+
+// Alert rule types, and whether they take a threshold
+ConfigModal.ALERT_TYPES = [
+    { value: 'streamStarted', label: 'Nouvelle lecture' },
+    { value: 'newCountry', label: 'Lecture depuis un nouveau pays' },
+    { value: 'bandwidthAbove', label: 'Débit total au-delà de (Mbps)', threshold: true },
+    { value: 'concurrentAbove', label: 'Lectures simultanées au-delà de', threshold: true },
+    { value: 'transcodeStarted', label: 'Début de transcodage' }
+];
+
+// Where an alert is sent
+ConfigModal.ALERT_CHANNELS = [
+    { value: 'browser', label: 'Notification' },
+    { value: 'webhook', label: 'Webhook' },
+    { value: 'both', label: 'Notification et webhook' }
+];
+
 // Export instances
 const config = new Config();
 const configModal = new ConfigModal(config);
\ No newline at end of file
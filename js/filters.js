@@ -0,0 +1,155 @@
+// Filter panel narrowing the map, user list and statistics, in live and
+// history modes alike
+class StreamFilters {
+    constructor() {
+        this.panel = document.getElementById('filter-panel');
+        this.summary = this.panel.querySelector('summary');
+        this.inputs = {
+            user: document.getElementById('filter-user'),
+            mediaType: document.getElementById('filter-media-type'),
+            platform: document.getElementById('filter-platform'),
+            country: document.getElementById('filter-country'),
+            decision: document.getElementById('filter-decision'),
+            hour: document.getElementById('filter-hour'),
+            distance: document.getElementById('filter-distance'),
+            minBandwidth: document.getElementById('filter-min-bandwidth')
+        };
+        this.values = StreamFilters.emptyValues();
+        this.onChange = null; // Called after any filter changed
+
+        this.init();
+    }
+
+    static emptyValues() {
+        return { user: '', mediaType: '', platform: '', country: '', decision: '', hour: '', distance: '', minBandwidth: 0 };
+    }
+
+    init() {
+        for (const [key, input] of Object.entries(this.inputs)) {
+            input.addEventListener('change', () => {
+                this.values[key] = key === 'minBandwidth' ? (parseFloat(input.value) || 0) : input.value;
+                this.changed();
+            });
+        }
+
+        document.getElementById('filter-reset').addEventListener('click', () => {
+            this.values = StreamFilters.emptyValues();
+            Object.values(this.inputs).forEach(input => {
+                input.value = '';
+            });
+            this.changed();
+        });
+    }
+
+    // Set one filter as if chosen in the panel, e.g. from a statistics chart.
+    // onChange isn't called: the caller redraws.
+    setValue(key, value) {
+        this.inputs[key].value = value;
+        this.values[key] = value;
+        this.updateSummary();
+    }
+
+    changed() {
+        this.updateSummary();
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    updateSummary() {
+        const count = this.getActiveCount();
+        this.summary.textContent = count > 0 ? `Filtres (${count})` : 'Filtres';
+    }
+
+    getActiveCount() {
+        return Object.values(this.values).filter(Boolean).length;
+    }
+
+    matches(session) {
+        const { user, mediaType, platform, country, decision, hour, distance, minBandwidth } = this.values;
+
+        if (user && session.username !== user) return false;
+        if (mediaType && session.media.type !== mediaType) return false;
+        if (platform) {
+            // "platform:Android" or "player:Salon"
+            const [field, ...rest] = platform.split(':');
+            if (session.stream[field] !== rest.join(':')) return false;
+        }
+        if (country && session.location?.country !== country) return false;
+        if (decision && MapManager.getStreamDecision(session) !== decision) return false;
+        // Live streams have no start time: the hour only filters history
+        if (hour && (!session.startTime || new Date(session.startTime).getHours() !== Number(hour))) return false;
+        if (distance) {
+            // Sessions without a location are in no distance bucket
+            const km = TautulliAPI.getDistance(session, config.getServer(session.serverId));
+            if (km === null || TautulliAPI.getDistanceBucket(km) !== distance) return false;
+        }
+        if (minBandwidth && session.stream.bandwidth < minBandwidth * 1000) return false;
+        return true;
+    }
+
+    apply(sessions) {
+        if (this.getActiveCount() === 0) {
+            return sessions;
+        }
+        return sessions.filter(session => this.matches(session));
+    }
+
+    // Fill the user, platform and country lists from the sessions of the
+    // current view, keeping the selected values
+    updateOptions(sessions) {
+        const unique = (values) => Array.from(new Set(values.filter(Boolean))).sort((a, b) => a.localeCompare(b));
+
+        this.fillSelect(this.inputs.user, 'Tous', [{
+            options: unique(sessions.map(session => session.username)).map(name => ({ value: name, label: name }))
+        }]);
+        this.fillSelect(this.inputs.platform, 'Tous', [
+            {
+                label: 'Plateformes',
+                options: unique(sessions.map(session => session.stream.platform))
+                    .map(platform => ({ value: `platform:${platform}`, label: platform }))
+            },
+            {
+                label: 'Lecteurs',
+                options: unique(sessions.map(session => session.stream.player))
+                    .map(player => ({ value: `player:${player}`, label: player }))
+            }
+        ]);
+        this.fillSelect(this.inputs.country, 'Tous', [{
+            options: unique(sessions.map(session => session.location?.country)).map(country => ({ value: country, label: country }))
+        }]);
+    }
+
+    // groups: [{ label (optional), options: [{ value, label }] }]
+    fillSelect(select, allLabel, groups) {
+        const selected = select.value;
+
+        // Live updates come often: don't close a list the user has open
+        const signature = JSON.stringify([selected, groups]);
+        if (select.dataset.signature === signature) return;
+        select.dataset.signature = signature;
+
+        select.innerHTML = '';
+        select.add(new Option(allLabel, ''));
+
+        let found = selected === '';
+        for (const group of groups) {
+            if (group.options.length === 0) continue;
+            const parent = group.label ? document.createElement('optgroup') : select;
+            if (group.label) {
+                parent.label = group.label;
+                select.appendChild(parent);
+            }
+            for (const option of group.options) {
+                parent.appendChild(new Option(option.label, option.value));
+                found = found || option.value === selected;
+            }
+        }
+
+        // A filter stays selected even when the current view has no match
+        if (!found) {
+            select.add(new Option(selected.replace(/^(platform|player):/, ''), selected));
+        }
+        select.value = selected;
+    }
+}
@@ -0,0 +1,88 @@
+// Great-circle geometry on a spherical Earth, points as [lat, lon] in degrees
+class Geodesic {
+    static toVector([lat, lon]) {
+        const phi = lat * Math.PI / 180;
+        const lambda = lon * Math.PI / 180;
+        return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+    }
+
+    static toLatLon([x, y, z]) {
+        return [
+            Math.atan2(z, Math.hypot(x, y)) * 180 / Math.PI,
+            Math.atan2(y, x) * 180 / Math.PI
+        ];
+    }
+
+    // Angle between two points seen from the centre of the Earth, in radians
+    static centralAngle(from, to) {
+        const [ax, ay, az] = Geodesic.toVector(from);
+        const [bx, by, bz] = Geodesic.toVector(to);
+        const cross = Math.hypot(ay * bz - az * by, az * bx - ax * bz, ax * by - ay * bx);
+        return Math.atan2(cross, ax * bx + ay * by + az * bz);
+    }
+
+    // Haversine distance between two points, in km
+    static distance([lat1, lon1], [lat2, lon2]) {
+        const toRadians = (degrees) => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLon = toRadians(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 2 * Geodesic.EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+    }
+
+    // Point at a fraction (0 to 1) of the great circle from one point to another
+    static interpolate(from, to, fraction) {
+        const angle = Geodesic.centralAngle(from, to);
+        const sinAngle = Math.sin(angle);
+        if (sinAngle < 1e-9) {
+            // Same or antipodal points: any path is as short
+            return fraction < 0.5 ? [from[0], from[1]] : [to[0], to[1]];
+        }
+
+        const a = Math.sin((1 - fraction) * angle) / sinAngle;
+        const b = Math.sin(fraction * angle) / sinAngle;
+        const va = Geodesic.toVector(from);
+        const vb = Geodesic.toVector(to);
+        return Geodesic.toLatLon(va.map((value, i) => a * value + b * vb[i]));
+    }
+
+    // Points along the great circle, both ends included
+    static arc(from, to, segments = 64) {
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            points.push(Geodesic.interpolate(from, to, i / segments));
+        }
+        return points;
+    }
+
+    // Great circle as polyline parts (for L.polyline), split where it crosses
+    // the ±180° meridian so it doesn't run back across the whole map
+    static arcLatLngs(from, to, segments = 64) {
+        const points = Geodesic.arc(from, to, segments);
+        const parts = [[points[0]]];
+
+        for (let i = 1; i < points.length; i++) {
+            const previous = points[i - 1];
+            const current = points[i];
+
+            if (Math.abs(current[1] - previous[1]) > 180) {
+                // Latitude where the segment meets the meridian, on the side of
+                // the previous point, then continue from the opposite side
+                const edge = previous[1] > 0 ? 180 : -180;
+                const unwrapped = current[1] + (edge > 0 ? 360 : -360);
+                const t = (edge - previous[1]) / (unwrapped - previous[1]);
+                const lat = previous[0] + (current[0] - previous[0]) * t;
+
+                parts[parts.length - 1].push([lat, edge]);
+                parts.push([[lat, -edge]]);
+            }
+            parts[parts.length - 1].push(current);
+        }
+
+        return parts;
+    }
+}
+
+// Mean Earth radius
+Geodesic.EARTH_RADIUS_KM = 6371;
@@ -0,0 +1,161 @@
+// History sessions as CSV, GeoJSON or KML files. servers are the configured
+// servers ({ id, name, lat, lon }), for server names and connection lines.
+class HistoryExport {
+    // One flat record per session, the columns of every format
+    static toRecord(session, servers) {
+        const server = servers.find(s => s.id === session.serverId);
+        const location = session.location || {};
+        return {
+            user: session.username,
+            title: session.media.title,
+            mediaType: session.media.type || '',
+            start: new Date(session.startTime).toISOString(),
+            stop: new Date(session.stopTime).toISOString(),
+            watchedSeconds: session.watchedDuration || 0,
+            bandwidthKbps: session.stream.bandwidth || 0,
+            decision: session.stream.transcodeDecision || '',
+            player: session.stream.player || '',
+            platform: session.stream.platform || '',
+            city: location.city || '',
+            region: location.region || '',
+            country: location.country || '',
+            countryCode: location.countryCode || '',
+            isp: location.isp || '',
+            ip: session.ipAddress || '',
+            lat: HistoryExport.hasLocation(session) ? location.lat : '',
+            lon: HistoryExport.hasLocation(session) ? location.lon : '',
+            server: server ? server.name : session.serverId || ''
+        };
+    }
+
+    static hasLocation(session) {
+        return Boolean(session.location && session.location.lat && session.location.lon);
+    }
+
+    static toCSV(sessions, servers) {
+        const escape = (value) => {
+            let text = String(value);
+            // Keep spreadsheets from running text as a formula
+            if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [HistoryExport.COLUMNS.join(',')];
+        sessions.forEach(session => {
+            const record = HistoryExport.toRecord(session, servers);
+            lines.push(HistoryExport.COLUMNS.map(column => escape(record[column])).join(','));
+        });
+
+        // BOM so spreadsheets read accents as UTF-8
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    // A point per located session, and a line from its server to it
+    static toGeoJSON(sessions, servers) {
+        const features = [];
+        sessions.filter(HistoryExport.hasLocation).forEach(session => {
+            const record = HistoryExport.toRecord(session, servers);
+            const userPos = [session.location.lon, session.location.lat];
+
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: userPos },
+                properties: { kind: 'session', ...record }
+            });
+
+            const server = servers.find(s => s.id === session.serverId);
+            if (server) {
+                features.push({
+                    type: 'Feature',
+                    geometry: { type: 'LineString', coordinates: [[server.lon, server.lat], userPos] },
+                    properties: { kind: 'connection', ...record }
+                });
+            }
+        });
+
+        return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+    }
+
+    // Placemarks with time spans, for Google Earth's time slider
+    static toKML(sessions, servers) {
+        const escape = (value) => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const sessionPlacemarks = [];
+        const connectionPlacemarks = [];
+        sessions.filter(HistoryExport.hasLocation).forEach(session => {
+            const record = HistoryExport.toRecord(session, servers);
+            const name = escape(`${record.user} – ${record.title}`);
+            const timeSpan = `<TimeSpan><begin>${record.start}</begin><end>${record.stop}</end></TimeSpan>`;
+            const data = HistoryExport.COLUMNS
+                .map(column => `<Data name="${column}"><value>${escape(record[column])}</value></Data>`)
+                .join('');
+
+            sessionPlacemarks.push(
+                `<Placemark><name>${name}</name>${timeSpan}<ExtendedData>${data}</ExtendedData>` +
+                `<Point><coordinates>${record.lon},${record.lat}</coordinates></Point></Placemark>`
+            );
+
+            const server = servers.find(s => s.id === session.serverId);
+            if (server) {
+                connectionPlacemarks.push(
+                    `<Placemark><name>${name}</name>${timeSpan}<LineString><tessellate>1</tessellate>` +
+                    `<coordinates>${server.lon},${server.lat} ${record.lon},${record.lat}</coordinates></LineString></Placemark>`
+                );
+            }
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '<Document>',
+            '<name>Tautulli Map</name>',
+            '<Folder><name>Sessions</name>',
+            ...sessionPlacemarks,
+            '</Folder>',
+            '<Folder><name>Connexions</name>',
+            ...connectionPlacemarks,
+            '</Folder>',
+            '</Document>',
+            '</kml>',
+            ''
+        ].join('\n');
+    }
+
+    // File contents in one of HistoryExport.FORMATS
+    static serialize(format, sessions, servers) {
+        const serializers = {
+            csv: HistoryExport.toCSV,
+            geojson: HistoryExport.toGeoJSON,
+            kml: HistoryExport.toKML
+        };
+        return serializers[format](sessions, servers);
+    }
+
+    // File name for sessions between two dates, e.g. tautulli-history-2024-05-01-2024-05-10.csv
+    static getFileName(format, from, to) {
+        const day = (date) => new Date(date).toISOString().slice(0, 10);
+        return `tautulli-history-${day(from)}-${day(to)}.${HistoryExport.FORMATS[format].extension}`;
+    }
+}
+
+HistoryExport.COLUMNS = [
+    'user', 'title', 'mediaType', 'start', 'stop', 'watchedSeconds', 'bandwidthKbps', 'decision',
+    'player', 'platform', 'city', 'region', 'country', 'countryCode', 'isp', 'ip', 'lat', 'lon', 'server'
+];
+
+HistoryExport.FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv; charset=utf-8' },
+    geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+    kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+};
+
+// Shared with the Node server (GET /api/history/export)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryExport;
+}
@@ -0,0 +1,143 @@
+// IPv4/IPv6 address parsing and CIDR matching
+class IPRanges {
+    // Parse an IP address to { version, value } (value is a BigInt), or null.
+    // IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) are returned as IPv4.
+    static parse(ip) {
+        if (typeof ip !== 'string') return null;
+        const address = ip.trim().replace(/^\[|\]$/g, '').split('%')[0];
+
+        if (address.includes(':')) {
+            const value = IPRanges.parseIPv6(address);
+            if (value === null) return null;
+            if (value >> 32n === 0xffffn) {
+                return { version: 4, value: value & 0xffffffffn };
+            }
+            return { version: 6, value };
+        }
+
+        const value = IPRanges.parseIPv4(address);
+        return value === null ? null : { version: 4, value };
+    }
+
+    static parseIPv4(address) {
+        const parts = address.split('.');
+        if (parts.length !== 4) return null;
+
+        let value = 0n;
+        for (const part of parts) {
+            if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+            value = (value << 8n) | BigInt(part);
+        }
+        return value;
+    }
+
+    static parseIPv6(address) {
+        const halves = address.split('::');
+        if (halves.length > 2) return null;
+
+        const toGroups = (text) => {
+            if (!text) return [];
+            const groups = text.split(':');
+            // An embedded IPv4 tail (::ffff:1.2.3.4) counts as two groups
+            const last = groups[groups.length - 1];
+            if (last.includes('.')) {
+                const v4 = IPRanges.parseIPv4(last);
+                if (v4 === null) return null;
+                groups.splice(-1, 1, (v4 >> 16n).toString(16), (v4 & 0xffffn).toString(16));
+            }
+            return groups;
+        };
+
+        const head = toGroups(halves[0]);
+        const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+        if (head === null || tail === null) return null;
+
+        const missing = 8 - head.length - tail.length;
+        if ((halves.length === 2 && missing < 1) || (halves.length === 1 && missing !== 0)) {
+            return null;
+        }
+
+        const groups = [...head, ...Array(missing).fill('0'), ...tail];
+        let value = 0n;
+        for (const group of groups) {
+            if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+            value = (value << 16n) | BigInt(parseInt(group, 16));
+        }
+        return value;
+    }
+
+    // Parse "10.0.0.0/8", "fc00::/7" or a single address to
+    // { version, network, prefix }, or null if invalid
+    static parseCidr(cidr) {
+        if (typeof cidr !== 'string') return null;
+        const [address, prefixText, extra] = cidr.trim().split('/');
+        if (extra !== undefined) return null;
+
+        const ip = IPRanges.parse(address);
+        if (!ip) return null;
+
+        // Prefixes on IPv4-mapped addresses are written in IPv6 bits
+        const mapped = address.includes(':') && ip.version === 4;
+        const bits = ip.version === 4 ? 32 : 128;
+        let prefix = bits;
+        if (prefixText !== undefined) {
+            if (!/^\d{1,3}$/.test(prefixText)) return null;
+            prefix = Number(prefixText) - (mapped ? 96 : 0);
+            if (prefix < 0 || prefix > bits) return null;
+        }
+
+        const shift = BigInt(bits - prefix);
+        return { version: ip.version, network: (ip.value >> shift) << shift, prefix };
+    }
+
+    static matches(ip, cidr) {
+        const address = typeof ip === 'string' ? IPRanges.parse(ip) : ip;
+        const range = typeof cidr === 'string' ? IPRanges.parseCidr(cidr) : cidr;
+        if (!address || !range || address.version !== range.version) return false;
+
+        const bits = address.version === 4 ? 32 : 128;
+        const shift = BigInt(bits - range.prefix);
+        return (address.value >> shift) << shift === range.network;
+    }
+
+    // Loopback, private, link-local and shared (CGNAT/Tailscale) addresses
+    static isPrivate(ip) {
+        if (ip === 'localhost') return true;
+        const address = IPRanges.parse(ip);
+        return Boolean(address) && IPRanges.PRIVATE_RANGES.some(range => IPRanges.matches(address, range));
+    }
+
+    // Most specific configured range ({ cidr, ... }) containing the IP, or null
+    static findRange(ip, ranges = []) {
+        const address = IPRanges.parse(ip);
+        if (!address) return null;
+
+        let best = null;
+        let bestPrefix = -1;
+        for (const range of ranges) {
+            const parsed = IPRanges.parseCidr(range.cidr);
+            if (parsed && parsed.prefix > bestPrefix && IPRanges.matches(address, parsed)) {
+                best = range;
+                bestPrefix = parsed.prefix;
+            }
+        }
+        return best;
+    }
+}
+
+IPRanges.PRIVATE_RANGES = [
+    '127.0.0.0/8',      // Loopback
+    '10.0.0.0/8',       // RFC 1918
+    '172.16.0.0/12',    // RFC 1918
+    '192.168.0.0/16',   // RFC 1918
+    '169.254.0.0/16',   // Link-local
+    '100.64.0.0/10',    // Shared address space (CGNAT, Tailscale)
+    '::1/128',          // Loopback
+    'fc00::/7',         // Unique local
+    'fe80::/10'         // Link-local
+].map(cidr => IPRanges.parseCidr(cidr));
+
+// Shared with the Node server (lib/config-schema.js, lib/tautulli-client.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IPRanges;
+}
@@ -0,0 +1,129 @@
+// "Fix location" dialog, opened from a marker, adding a manual location override
+class LocationOverrideModal {
+    constructor(config) {
+        this.config = config;
+        this.modal = document.getElementById('override-modal');
+        this.form = document.getElementById('override-form');
+        this.typeSelect = document.getElementById('override-type');
+        this.labelInput = document.getElementById('override-label');
+        this.latInput = document.getElementById('override-lat');
+        this.lonInput = document.getElementById('override-lon');
+        this.errorEl = document.getElementById('override-error');
+        this.mapManager = null;
+
+        this.init();
+    }
+
+    init() {
+        // MapManager asks for a fix when an admin clicks a marker
+        window.addEventListener('fixLocationRequested', (e) => {
+            this.open(e.detail.stream, e.detail.mapManager);
+        });
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+            }
+        });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+
+        document.getElementById('override-pick').addEventListener('click', () => {
+            this.pickOnMap();
+        });
+    }
+
+    open(stream, mapManager) {
+        if (!auth.isAdmin()) {
+            auth.requireLogin();
+            return;
+        }
+        this.mapManager = mapManager;
+
+        // One choice per way of matching this session
+        this.typeSelect.innerHTML = '';
+        const choices = [
+            { type: 'userId', value: stream.userId, label: `Utilisateur ${stream.username} (ID ${stream.userId})` },
+            { type: 'username', value: stream.username, label: `Nom d'utilisateur « ${stream.username} »` },
+            { type: 'ip', value: stream.ipAddress, label: `Adresse IP ${stream.ipAddress}` }
+        ];
+        choices
+            .filter(choice => choice.value !== undefined && choice.value !== null && choice.value !== '' &&
+                !(choice.type === 'ip' && !IPRanges.parse(String(choice.value))))
+            .forEach(choice => {
+                const option = new Option(choice.label, choice.type);
+                option.dataset.value = String(choice.value);
+                this.typeSelect.add(option);
+            });
+
+        const location = stream.location || {};
+        const server = this.config.getServer(stream.serverId) || { lat: 0, lon: 0 };
+        this.labelInput.value = location.manual ? location.city : '';
+        this.latInput.value = location.lat ?? server.lat;
+        this.lonInput.value = location.lon ?? server.lon;
+        this.errorEl.textContent = '';
+        this.modal.style.display = 'block';
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    // Hide the dialog until the next click on the map, which sets the coordinates
+    pickOnMap() {
+        if (!this.mapManager) return;
+
+        const map = this.mapManager.map;
+        const container = map.getContainer();
+        this.close();
+        container.style.cursor = 'crosshair';
+
+        map.once('click', (e) => {
+            container.style.cursor = '';
+            this.latInput.value = e.latlng.lat.toFixed(6);
+            this.lonInput.value = e.latlng.wrap().lng.toFixed(6);
+            this.modal.style.display = 'block';
+        });
+    }
+
+    async save() {
+        const option = this.typeSelect.selectedOptions[0];
+        if (!option) {
+            this.errorEl.textContent = 'Aucun critère disponible pour cette session';
+            return;
+        }
+
+        const override = {
+            type: option.value,
+            value: option.dataset.value,
+            label: this.labelInput.value.trim(),
+            lat: parseFloat(this.latInput.value),
+            lon: parseFloat(this.lonInput.value)
+        };
+
+        // Replace an existing override for the same user or IP
+        const overrides = this.config.get('locationOverrides')
+            .filter(existing => !(existing.type === override.type && existing.value === override.value));
+        overrides.push(override);
+
+        const result = await this.config.setAll({ locationOverrides: overrides });
+        if (!result.success) {
+            const index = overrides.length - 1;
+            const fieldErrors = Object.entries(result.errors || {})
+                .filter(([field]) => field.startsWith(`locationOverrides.${index}.`))
+                .map(([field, error]) => `${field.split('.').pop()}: ${error}`);
+            this.errorEl.textContent = [result.message, ...fieldErrors].filter(Boolean).join('\n') ||
+                'Échec de l\'enregistrement';
+            return;
+        }
+        this.close();
+
+        window.dispatchEvent(new CustomEvent('configUpdated', { detail: { locationOverrides: overrides } }));
+    }
+}
+
+// Export instance
+const locationOverrideModal = new LocationOverrideModal(config);
@@ -6,7 +6,13 @@ class MapManager {
         this.map = null;
         this.markers = new Map();
         this.connections = new Map();
-        this.serverMarker = null;
+        this.serverMarkers = new Map(); // server id -> marker
+        this.historyCluster = null; // L.markerClusterGroup of history sessions
+        this.clusterConnections = []; // One polyline per visible cluster and server
+        this.heatLayer = null; // L.heatLayer of history sessions
+        this.ghosts = new Map(); // Ended history sessions fading out, by session key
+        this.suspiciousLinks = []; // Lines between the places of AccountSharing findings
+        this.legend = null; // Colour scheme selector and legend
         this.hasInitiallyFitted = false;
         
         // Tile layers
@@ -30,7 +36,7 @@ class MapManager {
     init() {
         // Initialize map
         this.map = L.map('map', {
-            center: [this.config.get('serverLat'), this.config.get('serverLon')],
+            center: this.getServerPosition(),
             zoom: 5,
             zoomControl: true,
             preferCanvas: true
@@ -39,8 +45,8 @@ class MapManager {
         // Add default tile layer
         this.tileLayers.dark.addTo(this.map);
 
-        // Add server marker
-        this.addServerMarker();
+        // Add server markers
+        this.updateServerMarkers();
 
         // Add zoom controls
         L.control.zoom({
@@ -53,37 +59,72 @@ class MapManager {
             position: 'bottomleft'
         }).addTo(this.map);
 
+        // Colour scheme selector and legend
+        this.legend = L.control({ position: 'bottomright' });
+        this.legend.onAdd = () => {
+            const div = L.DomUtil.create('div', 'map-legend color-legend');
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+            return div;
+        };
+        this.legend.addTo(this.map);
+        this.updateLegend();
+
         return this;
     }
 
-    addServerMarker() {
-        const serverPos = [this.config.get('serverLat'), this.config.get('serverLon')];
+    // Position of a server, the first server when it isn't known (Paris when
+    // nothing is configured yet)
+    getServerPosition(serverId) {
+        const server = this.config.getServer(serverId) || this.config.getServers()[0];
+        return server ? [server.lat, server.lon] : [48.856614, 2.352222];
+    }
+
+    // Draw one hub per configured server, replacing the previous ones
+    updateServerMarkers() {
+        this.serverMarkers.forEach(marker => this.map.removeLayer(marker));
+        this.serverMarkers.clear();
+
+        this.config.getServers().forEach(server => {
+            this.addServerMarker(server);
+        });
+    }
+
+    addServerMarker(server) {
+        const serverPos = [server.lat, server.lon];
         
         // Create custom server icon
         const serverIcon = L.divIcon({
             className: 'server-marker',
-            html: '<div style="position: relative; width: 30px; height: 30px;"><div class="server-marker"></div></div>',
+            html: `<div style="position: relative; width: 30px; height: 30px;"><div class="server-marker" style="background-color: ${server.color}"></div></div>`,
             iconSize: [30, 30],
             iconAnchor: [15, 15]
         });
 
-        this.serverMarker = L.marker(serverPos, {
+        const marker = L.marker(serverPos, {
             icon: serverIcon,
             zIndexOffset: 1000
         }).addTo(this.map);
 
         // Add tooltip
-        this.serverMarker.bindTooltip('Serveur Plex', {
+        marker.bindTooltip(server.name || 'Serveur Plex', {
             permanent: false,
             direction: 'top',
             offset: [0, -20],
             className: 'custom-tooltip'
         });
+
+        this.serverMarkers.set(server.id, marker);
     }
 
-    updateStreams(streams) {
+    // With animate, new streams pulse and their line draws out from the server.
+    // ghosts are ended history sessions to show fading ({ stream, opacity, trail }).
+    updateStreams(streams, { animate = false, ghosts = [] } = {}) {
         console.log(`Updating map with ${streams.length} streams`);
         
+        // Individual markers replace the clustered history view
+        this.clearHistoryClusters();
+        
         // Debug: log all stream keys
         console.log('Stream keys:', streams.map(s => s.sessionKey));
         
@@ -129,14 +170,19 @@ class MapManager {
             
             console.log(`Processing stream ${stream.sessionKey} (${stream.username}) - index ${streamIndex} of ${sameLocStreams.length} at location`);
             
-            this.addOrUpdateStream(stream, offset);
+            this.addOrUpdateStream(stream, offset, animate);
         });
 
+        this.updateGhosts(ghosts);
+
         console.log(`Active markers: ${this.markers.size}, Expected: ${streams.length}`);
         
         // Debug: list all active markers
         console.log('Active marker keys:', Array.from(this.markers.keys()));
 
+        // Per-user and per-platform legends list what is shown
+        this.updateLegend();
+
         // Only fit bounds on first load or if explicitly needed
         if (streams.length > 0 && !this.hasInitiallyFitted) {
             this.fitBounds();
@@ -146,7 +192,12 @@ class MapManager {
 
     getAllBounds() {
         const bounds = L.latLngBounds();
-        bounds.extend([this.config.get('serverLat'), this.config.get('serverLon')]);
+        for (const marker of this.serverMarkers.values()) {
+            bounds.extend(marker.getLatLng());
+        }
+        if (this.historyCluster) {
+            bounds.extend(this.historyCluster.getBounds());
+        }
         for (const marker of this.markers.values()) {
             bounds.extend(marker.getLatLng());
         }
@@ -165,7 +216,7 @@ class MapManager {
         };
     }
 
-    addOrUpdateStream(stream, offset = { lat: 0, lon: 0 }) {
+    addOrUpdateStream(stream, offset = { lat: 0, lon: 0 }, animate = false) {
         const key = stream.sessionKey;
         
         if (!stream.location) {
@@ -182,41 +233,335 @@ class MapManager {
         if (this.markers.has(key)) {
             // Update existing marker
             const marker = this.markers.get(key);
+            
+            // History frames pass the same session again: nothing to redraw
+            if (marker.streamData === stream && marker.getLatLng().equals(userPos)) {
+                return;
+            }
+            
             marker.setLatLng(userPos);
+            marker.streamData = stream;
+            marker.streamReceivedAt = Date.now();
+            marker.setIcon(this.createUserIcon(stream));
             this.updateTooltip(marker, stream);
+            this.updatePopup(marker);
             this.updateConnection(key, userPos);
             console.log(`Updated marker for ${stream.username} at ${userPos}`);
         } else {
             // Create new marker
             const marker = this.createUserMarker(userPos, stream);
             this.markers.set(key, marker);
-            this.createConnection(key, userPos);
+            this.createConnection(key, userPos, animate);
+            if (animate) {
+                this.pulseMarker(marker);
+            }
             console.log(`Created marker for ${stream.username} at ${userPos}`);
         }
     }
 
-    createUserMarker(position, stream) {
-        // Create custom user icon with animation
-        const userIcon = L.divIcon({
-            className: 'user-marker-container',
-            html: `<div class="user-marker" style="background-color: ${this.getColorForBandwidth(stream.stream.bandwidth)}"></div>`,
-            iconSize: [20, 20],
-            iconAnchor: [10, 10]
+    // Show history sessions ({ position, stream } items) as clustered markers.
+    // Connection lines are drawn once per visible cluster, weighted by the
+    // number of sessions it holds.
+    showHistoryClusters(items) {
+        this.clearHistoryClusters();
+
+        this.historyCluster = L.markerClusterGroup({
+            chunkedLoading: true,
+            // Large histories are added in chunks: draw the lines once all are in
+            chunkProgress: (processed, total) => {
+                if (processed === total) this.updateClusterConnections();
+            },
+            showCoverageOnHover: false,
+            maxClusterRadius: 50,
+            iconCreateFunction: (cluster) => this.createClusterIcon(cluster)
+        });
+
+        const markers = items.map(({ position, stream }) => this.createUserMarker(position, stream, null));
+        this.historyCluster.addLayers(markers);
+        this.historyCluster.addTo(this.map);
+
+        // Clusters merge and split on zoom, and are only rendered near the view
+        this.historyCluster.on('animationend', () => this.updateClusterConnections());
+        this.map.on('zoomend moveend', this.updateClusterConnections, this);
+        this.updateClusterConnections();
+        this.updateLegend();
+    }
+
+    clearHistoryClusters() {
+        if (!this.historyCluster) return;
+
+        this.map.off('zoomend moveend', this.updateClusterConnections, this);
+        this.map.removeLayer(this.historyCluster);
+        this.historyCluster = null;
+        this.clusterConnections.forEach(line => this.map.removeLayer(line));
+        this.clusterConnections = [];
+    }
+
+    // Round cluster icon with the session count, in the most common colour
+    // of its sessions
+    createClusterIcon(cluster) {
+        const streams = cluster.getAllChildMarkers().map(marker => marker.streamData);
+        const count = streams.length;
+        const color = this.getDominantColor(streams);
+        const size = count < 10 ? 30 : count < 100 ? 36 : count < 1000 ? 42 : 48;
+
+        return L.divIcon({
+            className: 'history-cluster-container',
+            html: `<div class="history-cluster" style="background-color: ${color}; width: ${size}px; height: ${size}px;"><span>${count}</span></div>`,
+            iconSize: [size, size],
+            iconAnchor: [size / 2, size / 2]
+        });
+    }
+
+    getDominantColor(streams) {
+        const counts = new Map();
+        streams.forEach(stream => {
+            const color = this.getStreamColor(stream);
+            counts.set(color, (counts.get(color) || 0) + 1);
+        });
+        return Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    // One line from each server to each visible cluster or lone marker
+    updateClusterConnections() {
+        if (!this.historyCluster) return;
+
+        this.clusterConnections.forEach(line => this.map.removeLayer(line));
+        this.clusterConnections = [];
+
+        const groups = new Map(); // visible parent -> serverId -> streams
+        this.historyCluster.eachLayer(marker => {
+            const parent = this.historyCluster.getVisibleParent(marker);
+            if (!parent) return; // Outside the rendered area
+
+            const serverId = marker.streamData.serverId;
+            if (!groups.has(parent)) {
+                groups.set(parent, new Map());
+            }
+            const byServer = groups.get(parent);
+            if (!byServer.has(serverId)) {
+                byServer.set(serverId, []);
+            }
+            byServer.get(serverId).push(marker.streamData);
         });
 
+        groups.forEach((byServer, parent) => {
+            byServer.forEach((streams, serverId) => {
+                const serverPos = this.getServerPosition(serverId);
+                const allWithoutLocation = streams.every(stream => stream.noLocation);
+
+                const clusterPos = parent.getLatLng();
+                const line = L.polyline(Geodesic.arcLatLngs(serverPos, [clusterPos.lat, clusterPos.lng]), {
+                    color: this.getDominantColor(streams),
+                    weight: Math.min(2 + Math.log2(streams.length) * 1.5, 12),
+                    opacity: 0.5,
+                    dashArray: allWithoutLocation ? '5, 10' : null, // Dashed line for no location
+                    interactive: false,
+                    className: 'cluster-line' // Not .connection-line, whose CSS overrides colour and weight
+                }).addTo(this.map);
+                this.clusterConnections.push(line);
+            });
+        });
+    }
+
+    // Show [lat, lon, intensity] points as a heatmap, intensities from 0 to 1
+    setHeatmap(points, { radius = 25, blur = 15 } = {}) {
+        const options = {
+            radius,
+            blur,
+            max: 1,
+            minOpacity: 0.3,
+            maxZoom: 0 // Same intensity at every zoom level
+        };
+
+        if (this.heatLayer) {
+            this.heatLayer.setOptions(options);
+            this.heatLayer.setLatLngs(points);
+        } else {
+            this.heatLayer = L.heatLayer(points, options).addTo(this.map);
+        }
+    }
+
+    clearHeatmap() {
+        if (this.heatLayer) {
+            this.map.removeLayer(this.heatLayer);
+            this.heatLayer = null;
+        }
+    }
+
+    // Dashed line between the two places of each AccountSharing finding
+    showSuspiciousLinks(findings) {
+        this.clearSuspiciousLinks();
+
+        findings.forEach(finding => {
+            const [from, to] = finding.sessions.map(AccountSharing.getPosition);
+            const line = L.polyline(Geodesic.arcLatLngs(from, to), {
+                color: MapManager.SUSPICIOUS_COLOR,
+                weight: 3,
+                opacity: 0.9,
+                dashArray: '2, 8',
+                className: 'suspicious-line' // Not .connection-line, whose CSS overrides colour and weight
+            }).addTo(this.map);
+            line.bindTooltip(`⚠️ ${finding.username} : ${finding.from} ↔ ${finding.to}`, { sticky: true });
+            this.suspiciousLinks.push(line);
+        });
+    }
+
+    clearSuspiciousLinks() {
+        this.suspiciousLinks.forEach(line => this.map.removeLayer(line));
+        this.suspiciousLinks = [];
+    }
+
+    // Zoom on both places of a finding
+    focusSuspiciousLink(finding) {
+        const bounds = L.latLngBounds(finding.sessions.map(AccountSharing.getPosition));
+        this.map.fitBounds(bounds, { padding: [80, 80], maxZoom: 8 });
+    }
+
+    // Marker for a stream, added to the map unless another layer is given
+    // (null to add it later, e.g. to a cluster group)
+    createUserMarker(position, stream, layer = this.map) {
         const marker = L.marker(position, {
-            icon: userIcon,
+            icon: this.createUserIcon(stream),
             zIndexOffset: 500 + Math.floor(Math.random() * 100) // Random z-index to prevent overlapping
-        }).addTo(this.map);
+        });
+        if (layer) {
+            marker.addTo(layer);
+        }
 
         // Store stream data on marker for debugging
         marker.streamData = stream;
+        marker.streamReceivedAt = Date.now();
 
         this.updateTooltip(marker, stream);
+        this.bindDetailPopup(marker);
         
         return marker;
     }
 
+    createUserIcon(stream) {
+        // With several servers the ring shows the server's colour
+        const server = this.config.getServers().length > 1 ? this.config.getServer(stream.serverId) : null;
+        const borderStyle = server ? `; border-color: ${server.color}` : '';
+
+        // Create custom user icon with animation
+        return L.divIcon({
+            className: 'user-marker-container',
+            html: `<div class="user-marker" style="background-color: ${this.getStreamColor(stream)}${borderStyle}"></div>`,
+            iconSize: [20, 20],
+            iconAnchor: [10, 10]
+        });
+    }
+
+    // Detail popup opened by clicking a marker, its progress bar ticking
+    // every second while it is open
+    bindDetailPopup(marker) {
+        marker.bindPopup(() => this.createPopupContent(marker), {
+            className: 'stream-popup',
+            minWidth: 280,
+            maxWidth: 360
+        });
+
+        marker.on('popupopen', () => {
+            marker.closeTooltip();
+            marker.progressTimer = setInterval(() => this.updatePopupProgress(marker), 1000);
+        });
+        marker.on('popupclose', () => {
+            clearInterval(marker.progressTimer);
+            marker.progressTimer = null;
+        });
+    }
+
+    // Refresh an open popup with new stream data
+    updatePopup(marker) {
+        if (marker.isPopupOpen()) {
+            marker.setPopupContent(this.createPopupContent(marker));
+        }
+    }
+
+    createPopupContent(marker) {
+        const stream = marker.streamData;
+        const server = this.config.getServers().length > 1 ? this.config.getServer(stream.serverId) : null;
+        const distance = this.getStreamDistance(stream);
+        const posterUrl = stream.media.thumb ? this.api.get(stream.serverId)?.getImageUrl(stream.media.thumb, 160, 240) : null;
+        const state = MapManager.PLAYER_STATES[stream.stream.state];
+
+        const div = L.DomUtil.create('div', 'stream-detail');
+        div.innerHTML = `
+            ${posterUrl ? `<img class="stream-poster" src="${posterUrl}" alt="" loading="lazy">` : ''}
+            <div class="stream-info">
+                <div class="movie-title">${TautulliAPI.formatMediaTitle(stream.media)}</div>
+                <div><strong>${stream.username}</strong>${state ? ` <span class="stream-state ${stream.stream.state}">${state}</span>` : ''}</div>
+                ${stream.progress?.duration ? `
+                    <div class="stream-progress"><div class="stream-progress-bar"></div></div>
+                    <div class="stream-progress-text"></div>
+                ` : ''}
+                ${stream.startTime ? `
+                    <div>${new Date(stream.startTime).toLocaleString('fr-FR')}</div>
+                    <div>Regardé: ${MapManager.formatDuration(stream.watchedDuration * 1000)}</div>
+                ` : ''}
+                <div class="stream-badges">
+                    ${this.createDecisionBadge('Vidéo', stream.stream.videoDecision)}
+                    ${this.createDecisionBadge('Audio', stream.stream.audioDecision)}
+                </div>
+                <div>Débit: ${TautulliAPI.formatBandwidth(stream.stream.bandwidth)} · ${stream.stream.quality}</div>
+                <div>Player: ${stream.stream.player}</div>
+                ${server ? `<div>Serveur: ${server.name}</div>` : ''}
+                <div>${stream.location.city}, ${stream.location.country}</div>
+                ${distance !== null ? `<div>Distance du serveur: ${TautulliAPI.formatDistance(distance)}</div>` : ''}
+                <div>FAI: ${stream.location.isp || 'Unknown ISP'}</div>
+                <div>IP: ${stream.ipAddress}</div>
+            </div>
+        `;
+
+        // Admins fix a wrong location from here
+        if (auth.isAdmin()) {
+            const button = L.DomUtil.create('button', 'stream-action', div);
+            button.type = 'button';
+            button.textContent = 'Corriger la localisation';
+            button.addEventListener('click', () => {
+                marker.closePopup();
+                window.dispatchEvent(new CustomEvent('fixLocationRequested', {
+                    detail: { stream: marker.streamData, mapManager: this }
+                }));
+            });
+        }
+
+        this.updatePopupProgress(marker, div);
+        return div;
+    }
+
+    createDecisionBadge(label, decision) {
+        if (!decision) return '';
+        const text = MapManager.DECISIONS[decision] || decision;
+        return `<span class="decision-badge ${decision.replace(/\s+/g, '-')}">${label}: ${text}</span>`;
+    }
+
+    // Progress bar and remaining time, advanced since the last update while
+    // the player is playing
+    updatePopupProgress(marker, element = marker.getPopup()?.getElement()) {
+        const stream = marker.streamData;
+        const bar = element?.querySelector('.stream-progress-bar');
+        if (!bar) return;
+
+        const duration = parseInt(stream.progress.duration) || 0;
+        const elapsed = stream.stream.state === 'playing' ? Date.now() - marker.streamReceivedAt : 0;
+        const offset = Math.min((parseInt(stream.progress.viewOffset) || 0) + elapsed, duration);
+
+        bar.style.width = `${(offset / duration) * 100}%`;
+        element.querySelector('.stream-progress-text').textContent =
+            `${MapManager.formatDuration(offset)} / ${MapManager.formatDuration(duration)} · reste ${MapManager.formatDuration(duration - offset)}`;
+    }
+
+    // Milliseconds as 1:05:09 or 5:09
+    static formatDuration(ms) {
+        const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+    }
+
     updateTooltip(marker, stream) {
         const tooltipContent = this.createTooltipContent(stream);
         
@@ -235,61 +580,164 @@ class MapManager {
         const mediaTitle = TautulliAPI.formatMediaTitle(stream.media);
         const bandwidth = TautulliAPI.formatBandwidth(stream.stream.bandwidth);
         const location = `${stream.location.city}, ${stream.location.country}`;
+        const provider = TautulliAPI.formatGeoProvider(stream.location.provider);
+        const server = this.config.getServers().length > 1 ? this.config.getServer(stream.serverId) : null;
+        const distance = this.getStreamDistance(stream);
         
         return `
             <div class="movie-title">${mediaTitle}</div>
             <div><strong>${stream.username}</strong></div>
             <div>${location}</div>
+            ${distance !== null ? `<div>Distance: ${TautulliAPI.formatDistance(distance)}</div>` : ''}
+            ${server ? `<div>Serveur: ${server.name}</div>` : ''}
             <div>Débit: ${bandwidth}</div>
             <div>Qualité: ${stream.stream.quality}</div>
             <div>Player: ${stream.stream.player}</div>
+            ${provider ? `<div class="tooltip-source${stream.location.manual ? ' manual' : ''}">Localisation: ${provider}${stream.location.manual ? ' 📌' : ''}</div>` : ''}
+            <div class="tooltip-action">Cliquer pour plus de détails</div>
         `;
     }
 
-    createConnection(key, userPos) {
-        const serverPos = [this.config.get('serverLat'), this.config.get('serverLon')];
-        
+    createConnection(key, userPos, grow = false) {
         // Get stream data from marker
         const marker = this.markers.get(key);
-        const bandwidth = marker?.streamData?.stream?.bandwidth || 0;
+        const serverPos = this.getServerPosition(marker?.streamData?.serverId);
         
-        // Get color based on bandwidth
-        const bandwidthColor = this.getColorForBandwidth(bandwidth);
+        // Get color from the colour scheme
+        const color = this.getStreamColor(marker.streamData);
         
-        // Create animated polyline with bandwidth-based color
-        const polyline = L.polyline([serverPos, userPos], {
-            color: bandwidthColor,
+        // Create animated great-circle polyline
+        const polyline = L.polyline(grow ? [serverPos, serverPos] : Geodesic.arcLatLngs(serverPos, userPos), {
+            color,
             weight: 3,
             opacity: 0.8,
             className: 'connection-line'
         }).addTo(this.map);
 
-        // Add arrow markers along the line with matching color
-        this.addArrowsToPolyline(polyline, serverPos, userPos, bandwidthColor);
-        
         // Store the connection first
         this.connections.set(key, polyline);
         
+        if (grow) {
+            // Arrows are added once the line reaches the user
+            this.growConnection(key, polyline);
+        } else {
+            // Add arrow markers along the line with matching color
+            this.addArrowsToPolyline(polyline, serverPos, userPos, color);
+        }
+        
         // Add animation after a delay to ensure DOM is ready
         setTimeout(() => {
             this.animateConnection(polyline);
         }, 100);
     }
 
-    addArrowsToPolyline(polyline, startPos, endPos, color = '#2196f3') {
-        // Calculate the angle of the line
-        const dx = endPos[1] - startPos[1];
-        const dy = endPos[0] - startPos[0];
-        const angle = Math.atan2(dy, dx) * (180 / Math.PI);
+    // Draw a new connection from the server out to the user
+    growConnection(key, polyline) {
+        const started = performance.now();
+        polyline.growing = true;
+        
+        const step = (now) => {
+            const marker = this.markers.get(key);
+            if (!marker || this.connections.get(key) !== polyline) {
+                // Stream removed meanwhile
+                return;
+            }
+            
+            const serverPos = this.getServerPosition(marker.streamData.serverId);
+            const { lat, lng } = marker.getLatLng();
+            const fraction = Math.min((now - started) / MapManager.GROW_DURATION, 1);
+            
+            // Ease out: quick from the server, slowing down near the user
+            const eased = 1 - Math.pow(1 - fraction, 3);
+            const end = Geodesic.interpolate(serverPos, [lat, lng], eased);
+            polyline.setLatLngs(Geodesic.arcLatLngs(serverPos, end, Math.max(2, Math.round(64 * eased))));
+            
+            if (fraction < 1) {
+                requestAnimationFrame(step);
+            } else {
+                polyline.growing = false;
+                this.updateConnection(key, [lat, lng]);
+            }
+        };
+        requestAnimationFrame(step);
+    }
+
+    // Expanding ring around a marker whose session just started
+    pulseMarker(marker) {
+        const element = marker.getElement();
+        if (!element) return;
         
-        // Create arrow markers at intervals along the line
+        L.DomUtil.addClass(element, 'session-start');
+        setTimeout(() => L.DomUtil.removeClass(element, 'session-start'), MapManager.GROW_DURATION);
+    }
+
+    // Ended history sessions: a dimmed marker and the user end of their line,
+    // shorter and fainter as trail goes from 1 to 0
+    updateGhosts(items) {
+        const keys = new Set(items.map(item => item.stream.sessionKey));
+        for (const key of Array.from(this.ghosts.keys())) {
+            if (!keys.has(key)) {
+                this.removeGhost(key);
+            }
+        }
+        
+        items.forEach(({ stream, opacity, trail }) => {
+            if (!stream.location) return;
+            
+            const key = stream.sessionKey;
+            const userPos = [stream.location.lat, stream.location.lon];
+            let ghost = this.ghosts.get(key);
+            if (!ghost) {
+                const marker = L.marker(userPos, {
+                    icon: this.createUserIcon(stream),
+                    interactive: false,
+                    zIndexOffset: 400 // Under the active sessions
+                }).addTo(this.map);
+                L.DomUtil.addClass(marker.getElement(), 'ghost-marker');
+                ghost = { marker, trail: null };
+                this.ghosts.set(key, ghost);
+            }
+            ghost.marker.setOpacity(opacity);
+            
+            if (trail <= 0) {
+                if (ghost.trail) {
+                    this.map.removeLayer(ghost.trail);
+                    ghost.trail = null;
+                }
+                return;
+            }
+            
+            const serverPos = this.getServerPosition(stream.serverId);
+            const from = Geodesic.interpolate(serverPos, userPos, 1 - MapManager.TRAIL_LENGTH * trail);
+            const latLngs = Geodesic.arcLatLngs(from, userPos, 16);
+            const style = { color: this.getStreamColor(stream), weight: 2, opacity: opacity * 0.6 };
+            if (ghost.trail) {
+                ghost.trail.setLatLngs(latLngs);
+                ghost.trail.setStyle(style);
+            } else {
+                ghost.trail = L.polyline(latLngs, { ...style, interactive: false }).addTo(this.map);
+            }
+        });
+    }
+
+    removeGhost(key) {
+        const ghost = this.ghosts.get(key);
+        this.map.removeLayer(ghost.marker);
+        if (ghost.trail) {
+            this.map.removeLayer(ghost.trail);
+        }
+        this.ghosts.delete(key);
+    }
+
+    addArrowsToPolyline(polyline, startPos, endPos, color = '#2196f3') {
+        // Create arrow markers at intervals along the great circle
         const numArrows = 3;
         polyline.arrows = [];
         
         for (let i = 1; i <= numArrows; i++) {
             const ratio = i / (numArrows + 1);
-            const lat = startPos[0] + (endPos[0] - startPos[0]) * ratio;
-            const lng = startPos[1] + (endPos[1] - startPos[1]) * ratio;
+            const [lat, lng] = Geodesic.interpolate(startPos, endPos, ratio);
+            const angle = this.getArcAngle(startPos, endPos, ratio);
             
             // Create arrow icon with matching color
             const arrowIcon = L.divIcon({
@@ -309,19 +757,39 @@ class MapManager {
         }
     }
 
+    // On-screen direction of the great circle at a fraction of its length, in
+    // degrees clockwise from east (Mercator keeps it the same at every zoom)
+    getArcAngle(startPos, endPos, ratio) {
+        const before = Geodesic.interpolate(startPos, endPos, Math.max(ratio - 0.01, 0));
+        const after = Geodesic.interpolate(startPos, endPos, Math.min(ratio + 0.01, 1));
+        
+        // Keep both points on the same side of the ±180° meridian
+        if (after[1] - before[1] > 180) after[1] -= 360;
+        if (before[1] - after[1] > 180) after[1] += 360;
+        
+        const p1 = this.map.project(before, 0);
+        const p2 = this.map.project(after, 0);
+        return Math.atan2(p2.y - p1.y, p2.x - p1.x) * (180 / Math.PI);
+    }
+
     updateConnection(key, userPos) {
         if (this.connections.has(key)) {
-            const serverPos = [this.config.get('serverLat'), this.config.get('serverLon')];
             const polyline = this.connections.get(key);
             
-            // Get updated bandwidth and color
+            // Get updated color
             const marker = this.markers.get(key);
-            const bandwidth = marker?.streamData?.stream?.bandwidth || 0;
-            const bandwidthColor = this.getColorForBandwidth(bandwidth);
+            const serverPos = this.getServerPosition(marker?.streamData?.serverId);
+            const color = this.getStreamColor(marker.streamData);
+            
+            // Still drawing out: it ends at the marker and gets its arrows then
+            if (polyline.growing) {
+                polyline.setStyle({ color });
+                return;
+            }
             
             // Update polyline position and color
-            polyline.setLatLngs([serverPos, userPos]);
-            polyline.setStyle({ color: bandwidthColor });
+            polyline.setLatLngs(Geodesic.arcLatLngs(serverPos, userPos));
+            polyline.setStyle({ color });
             
             // Update arrows if they exist
             if (polyline.arrows) {
@@ -332,7 +800,7 @@ class MapManager {
             }
             
             // Re-add arrows at new position with updated color
-            this.addArrowsToPolyline(polyline, serverPos, userPos, bandwidthColor);
+            this.addArrowsToPolyline(polyline, serverPos, userPos, color);
         }
     }
 
@@ -415,25 +883,175 @@ class MapManager {
         }
     }
 
+    // Distance (km) from the stream's server to its viewer, or null
+    getStreamDistance(stream) {
+        return TautulliAPI.getDistance(stream, this.config.getServer(stream.serverId));
+    }
+
+    // Colour of a stream's marker and line in the configured colour scheme
+    getStreamColor(stream) {
+        switch (this.config.get('colorScheme')) {
+            case 'decision':
+                return MapManager.DECISION_COLORS[MapManager.getStreamDecision(stream)];
+            case 'mediaType':
+                return (MapManager.MEDIA_TYPES[stream.media.type] || MapManager.MEDIA_TYPES.other).color;
+            case 'platform':
+                return MapManager.hashColor(stream.stream.platform || 'Unknown');
+            case 'user':
+                return MapManager.hashColor(String(stream.userId ?? stream.username));
+            case 'server':
+                return this.config.getServer(stream.serverId)?.color || '#4caf50';
+            default:
+                return this.getColorForBandwidth(stream.stream.bandwidth);
+        }
+    }
+
     getColorForBandwidth(bandwidth) {
-        // Color based on bandwidth (in kbps)
-        if (bandwidth > 20000) return '#ff4444';  // Red for > 20 Mbps
-        if (bandwidth > 10000) return '#ff8844';  // Orange for > 10 Mbps
-        if (bandwidth > 5000) return '#ffaa44';   // Yellow-orange for > 5 Mbps
-        if (bandwidth > 2000) return '#ffcc44';   // Yellow for > 2 Mbps
-        return '#44ff44';                         // Green for <= 2 Mbps
+        // Color of the highest threshold below the bandwidth (in kbps)
+        const thresholds = [...this.config.get('bandwidthColors')].sort((a, b) => b.min - a.min);
+        const threshold = thresholds.find(entry => bandwidth > entry.min) || thresholds[thresholds.length - 1];
+        return threshold.color;
+    }
+
+    // 'transcode' if video or audio is transcoded, 'copy' if either is
+    // direct streamed, else 'direct play'
+    static getStreamDecision(stream) {
+        const decisions = [stream.stream.transcodeDecision, stream.stream.videoDecision, stream.stream.audioDecision];
+        if (decisions.includes('transcode')) return 'transcode';
+        if (decisions.includes('copy')) return 'copy';
+        return 'direct play';
+    }
+
+    // Stable colour for a user, platform...: the same text always gets the same hue
+    static hashColor(text) {
+        let hash = 0;
+        for (let i = 0; i < text.length; i++) {
+            hash = (hash * 31 + text.charCodeAt(i)) | 0;
+        }
+        return `hsl(${Math.abs(hash) % 360}, 70%, 55%)`;
+    }
+
+    setColorScheme(scheme) {
+        this.config.set('colorScheme', scheme);
+        this.refreshColors();
+
+        // Admins keep the choice for everyone
+        if (auth.isAdmin()) {
+            this.config.setAll({ colorScheme: scheme }).then(result => {
+                if (!result.success) {
+                    console.error('Failed to save colour scheme:', result);
+                }
+            });
+        }
+    }
+
+    // Recolour everything after the colour scheme or its settings changed
+    refreshColors() {
+        for (const [key, marker] of this.markers) {
+            marker.setIcon(this.createUserIcon(marker.streamData));
+            if (this.connections.has(key)) {
+                const position = marker.getLatLng();
+                this.updateConnection(key, [position.lat, position.lng]);
+            }
+        }
+
+        if (this.historyCluster) {
+            this.historyCluster.eachLayer(marker => marker.setIcon(this.createUserIcon(marker.streamData)));
+            this.historyCluster.refreshClusters();
+            this.updateClusterConnections();
+        }
+
+        this.updateLegend();
+    }
+
+    // Streams currently on the map, live or history
+    getDisplayedStreams() {
+        const streams = Array.from(this.markers.values()).map(marker => marker.streamData);
+        if (this.historyCluster) {
+            this.historyCluster.eachLayer(marker => streams.push(marker.streamData));
+        }
+        return streams;
+    }
+
+    // Legend entries ({ color, label }) of the current colour scheme
+    getLegendEntries() {
+        switch (this.config.get('colorScheme')) {
+            case 'decision':
+                return Object.entries(MapManager.DECISIONS).map(([decision, label]) => ({
+                    color: MapManager.DECISION_COLORS[decision],
+                    label
+                }));
+            case 'mediaType':
+                return Object.values(MapManager.MEDIA_TYPES);
+            case 'server':
+                return this.config.getServers().map(server => ({ color: server.color, label: server.name }));
+            case 'platform':
+            case 'user': {
+                // Only what is on the map, these have no fixed list
+                const labels = new Map();
+                this.getDisplayedStreams().forEach(stream => {
+                    if (this.config.get('colorScheme') === 'platform') {
+                        labels.set(stream.stream.platform || 'Unknown', this.getStreamColor(stream));
+                    } else {
+                        labels.set(stream.username, this.getStreamColor(stream));
+                    }
+                });
+                return Array.from(labels.entries())
+                    .sort((a, b) => a[0].localeCompare(b[0]))
+                    .map(([label, color]) => ({ color, label }));
+            }
+            default: {
+                const thresholds = [...this.config.get('bandwidthColors')].sort((a, b) => b.min - a.min);
+                // The lowest threshold also colours everything below it
+                return thresholds.map((threshold, index) => ({
+                    color: threshold.color,
+                    label: index < thresholds.length - 1 ? `> ${TautulliAPI.formatBandwidth(threshold.min)}` :
+                        index > 0 ? `≤ ${TautulliAPI.formatBandwidth(thresholds[index - 1].min)}` : 'Tous les débits'
+                }));
+            }
+        }
+    }
+
+    updateLegend() {
+        const div = this.legend?.getContainer();
+        if (!div) return;
+
+        const scheme = this.config.get('colorScheme');
+        const entries = this.getLegendEntries();
+        const shown = entries.slice(0, MapManager.MAX_LEGEND_ENTRIES);
+
+        div.innerHTML = `
+            <select class="legend-scheme" title="Couleur selon">
+                ${Object.entries(MapManager.COLOR_SCHEMES).map(([value, label]) =>
+                    `<option value="${value}"${value === scheme ? ' selected' : ''}>${label}</option>`).join('')}
+            </select>
+            ${shown.map(entry => `<div><span class="legend-swatch" style="background-color: ${entry.color}"></span>${entry.label}</div>`).join('')}
+            ${entries.length > shown.length ? `<div class="legend-more">+ ${entries.length - shown.length} autres</div>` : ''}
+        `;
+        div.querySelector('.legend-scheme').addEventListener('change', (e) => {
+            this.setColorScheme(e.target.value);
+        });
     }
 
     fitBounds() {
         const bounds = L.latLngBounds();
         
-        // Add server position
-        bounds.extend([this.config.get('serverLat'), this.config.get('serverLon')]);
+        // Add server positions
+        for (const marker of this.serverMarkers.values()) {
+            bounds.extend(marker.getLatLng());
+        }
         
         // Add all user positions
         for (const marker of this.markers.values()) {
             bounds.extend(marker.getLatLng());
         }
+        if (this.historyCluster) {
+            bounds.extend(this.historyCluster.getBounds());
+        }
+
+        if (!bounds.isValid()) {
+            return;
+        }
 
         // Fit map to bounds with padding
         this.map.fitBounds(bounds, { 
@@ -469,5 +1087,57 @@ class MapManager {
         }
         this.markers.clear();
         this.connections.clear();
+        this.ghosts.clear();
+        this.historyCluster = null;
+        this.clusterConnections = [];
+        this.heatLayer = null;
+        this.suspiciousLinks = [];
     }
-}
\ No newline at end of file
+}
+
+// Lines of suspicious account use
+MapManager.SUSPICIOUS_COLOR = '#ff1744';
+
+// Labels of Tautulli's player states and stream decisions
+MapManager.PLAYER_STATES = {
+    playing: '▶ Lecture',
+    paused: '⏸ Pause',
+    buffering: '⏳ Chargement'
+};
+
+MapManager.DECISIONS = {
+    'direct play': 'Direct Play',
+    'copy': 'Direct Stream',
+    'transcode': 'Transcodage'
+};
+
+MapManager.DECISION_COLORS = {
+    'direct play': '#44ff44',
+    'copy': '#2196f3',
+    'transcode': '#ff4444'
+};
+
+MapManager.MEDIA_TYPES = {
+    movie: { color: '#e5a00d', label: 'Film' },
+    episode: { color: '#2196f3', label: 'Épisode' },
+    track: { color: '#ab47bc', label: 'Musique' },
+    other: { color: '#9e9e9e', label: 'Autre' }
+};
+
+MapManager.COLOR_SCHEMES = {
+    bandwidth: 'Couleur : débit',
+    decision: 'Couleur : Direct Play / transcodage',
+    mediaType: 'Couleur : type de média',
+    platform: 'Couleur : plateforme',
+    user: 'Couleur : utilisateur',
+    server: 'Couleur : serveur'
+};
+
+// Beyond this, the legend only counts the remaining entries
+MapManager.MAX_LEGEND_ENTRIES = 12;
+
+// Session start animation: line drawing out and marker pulse (ms)
+MapManager.GROW_DURATION = 800;
+
+// Share of the connection line an ended session's trail starts with
+MapManager.TRAIL_LENGTH = 0.25;
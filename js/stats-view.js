@@ -0,0 +1,238 @@
+// Statistics tab: bar charts of getHistoryStats, drawn as SVG and HTML
+// without a charting library
+class StatsView {
+    constructor(container) {
+        this.container = container;
+        // Called with the clicked bar's type ('hour', 'day', 'country', 'user',
+        // 'platform', 'player', 'decision' or 'distance') and value
+        this.onSelect = null;
+    }
+
+    // range: { from, to } Dates of the sessions, to show days without any
+    render(stats, range) {
+        this.container.innerHTML = '';
+
+        if (!stats.totalSessions) {
+            const empty = document.createElement('div');
+            empty.className = 'stats-empty';
+            empty.textContent = 'Aucune session sur cette période';
+            this.container.appendChild(empty);
+            return;
+        }
+
+        const hours = stats.byHour.map((sessions, hour) => ({
+            value: sessions,
+            label: `${hour}h`,
+            title: `${hour}h – ${hour + 1}h : ${sessions} sessions`,
+            key: String(hour)
+        }));
+        this.addCard('Sessions par heure de la journée', this.createColumnChart(hours, 'hour', 3));
+
+        const days = StatsView.getDays(range).map(day => {
+            const total = stats.byDay[day] || { sessions: 0, watchTime: 0 };
+            return { day, ...total, label: StatsView.formatDay(day) };
+        });
+        const dayLabelStep = Math.ceil(days.length / 10);
+        this.addCard('Sessions par jour', this.createColumnChart(days.map(day => ({
+            value: day.sessions,
+            label: day.label,
+            title: `${day.label} : ${day.sessions} sessions`,
+            key: day.day
+        })), 'day', dayLabelStep));
+        this.addCard('Temps de visionnage par jour', this.createColumnChart(days.map(day => ({
+            value: day.watchTime,
+            label: day.label,
+            title: `${day.label} : ${CountryChoropleth.formatHours(day.watchTime)}`,
+            key: day.day
+        })), 'day', dayLabelStep, value => CountryChoropleth.formatHours(value)));
+
+        this.addCard('Pays', this.createBarList(StatsView.top(stats.byCountry, 'sessions'), 'country', 'sessions'));
+        this.addCard('Utilisateurs', this.createBarList(StatsView.top(stats.byUser, 'watchTime'), 'user', 'watchTime'));
+        this.addCard('Plateformes', this.createBarList(StatsView.top(stats.byPlatform, 'sessions'), 'platform', 'sessions'));
+        this.addCard('Lecteurs', this.createBarList(StatsView.top(stats.byPlayer, 'sessions'), 'player', 'sessions'));
+
+        const decisions = Object.keys(MapManager.DECISIONS)
+            .filter(decision => stats.byDecision[decision])
+            .map(decision => ({
+                key: decision,
+                label: MapManager.DECISIONS[decision],
+                color: MapManager.DECISION_COLORS[decision],
+                ...stats.byDecision[decision]
+            }));
+        this.addCard('Direct Play / transcodage', this.createBarList(decisions, 'decision', 'sessions', true));
+
+        // Distance from the server, where a relay or CDN would help
+        const distances = TautulliAPI.DISTANCE_BUCKETS
+            .filter(bucket => stats.byDistance[bucket.key])
+            .map(bucket => ({ key: bucket.key, label: bucket.label, ...stats.byDistance[bucket.key] }));
+        const distanceCard = this.addCard('Distance au serveur', this.createBarList(distances, 'distance', 'sessions', true));
+        if (stats.averageDistance !== null) {
+            const summary = document.createElement('div');
+            summary.className = 'stats-summary';
+            summary.textContent = `Moyenne : ${TautulliAPI.formatDistance(stats.averageDistance)}, ` +
+                `maximum : ${TautulliAPI.formatDistance(stats.maxDistance)}`;
+            distanceCard.appendChild(summary);
+        }
+
+        const farthest = Object.entries(stats.byUser)
+            .filter(([, user]) => user.maxDistance !== null)
+            .sort((a, b) => b[1].maxDistance - a[1].maxDistance)
+            .slice(0, StatsView.TOP_COUNT)
+            .map(([name, user]) => ({
+                key: name,
+                label: name,
+                sessions: user.sessions,
+                watchTime: user.watchTime,
+                maxDistance: user.maxDistance,
+                valueLabel: TautulliAPI.formatDistance(user.maxDistance),
+                detail: `${user.farthestLocation.city}, ${user.farthestLocation.country} · ` +
+                    `moyenne ${TautulliAPI.formatDistance(user.averageDistance)}`
+            }));
+        this.addCard('Spectateurs les plus lointains', this.createBarList(farthest, 'user', 'maxDistance'));
+    }
+
+    addCard(title, content) {
+        const card = document.createElement('section');
+        card.className = 'stats-card';
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        card.append(heading, content);
+        this.container.appendChild(card);
+        return card;
+    }
+
+    select(type, value) {
+        if (this.onSelect) {
+            this.onSelect(type, value);
+        }
+    }
+
+    // Vertical bars ({ value, label, title, key }), one x-axis label every
+    // labelStep bars
+    createColumnChart(bars, type, labelStep = 1, format = value => Math.round(value)) {
+        const ns = 'http://www.w3.org/2000/svg';
+        const width = 600;
+        const height = 180;
+        const top = 16;
+        const bottom = 20;
+        const max = Math.max(...bars.map(bar => bar.value), 0);
+        const slot = width / bars.length;
+
+        const svg = document.createElementNS(ns, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('class', 'stats-chart');
+
+        const maxLabel = document.createElementNS(ns, 'text');
+        maxLabel.setAttribute('x', 0);
+        maxLabel.setAttribute('y', 10);
+        maxLabel.setAttribute('class', 'stats-axis');
+        maxLabel.textContent = `max ${format(max)}`;
+        svg.appendChild(maxLabel);
+
+        bars.forEach((bar, index) => {
+            const barHeight = max > 0 ? (bar.value / max) * (height - top - bottom) : 0;
+            const rect = document.createElementNS(ns, 'rect');
+            rect.setAttribute('x', index * slot + slot * 0.1);
+            rect.setAttribute('y', height - bottom - barHeight);
+            rect.setAttribute('width', slot * 0.8);
+            rect.setAttribute('height', Math.max(barHeight, bar.value > 0 ? 1 : 0));
+            rect.setAttribute('class', 'stats-column');
+
+            const title = document.createElementNS(ns, 'title');
+            title.textContent = `${bar.title}\nCliquer pour filtrer`;
+            rect.appendChild(title);
+            if (bar.value > 0) {
+                rect.addEventListener('click', () => this.select(type, bar.key));
+            }
+            svg.appendChild(rect);
+
+            if (index % labelStep === 0) {
+                const label = document.createElementNS(ns, 'text');
+                label.setAttribute('x', index * slot + slot / 2);
+                label.setAttribute('y', height - 5);
+                label.setAttribute('text-anchor', 'middle');
+                label.setAttribute('class', 'stats-axis');
+                label.textContent = bar.label;
+                svg.appendChild(label);
+            }
+        });
+
+        return svg;
+    }
+
+    // Horizontal bars of { key, label, sessions, watchTime, color, valueLabel,
+    // detail } entries, sized by metric ('sessions', 'watchTime' or another
+    // entry field), with shares when percentages
+    createBarList(entries, type, metric, percentages = false) {
+        const list = document.createElement('div');
+        list.className = 'stats-bars';
+
+        const max = Math.max(...entries.map(entry => entry[metric]), 0);
+        const total = entries.reduce((sum, entry) => sum + entry[metric], 0);
+
+        entries.forEach(entry => {
+            const value = entry[metric];
+            const row = document.createElement('button');
+            row.type = 'button';
+            row.className = 'stats-bar-row';
+            row.title = `${entry.detail ? `${entry.detail}\n` : ''}` +
+                `${entry.sessions} sessions, ${CountryChoropleth.formatHours(entry.watchTime)}\nCliquer pour filtrer`;
+
+            const label = document.createElement('span');
+            label.className = 'stats-bar-label';
+            label.textContent = entry.label;
+
+            const track = document.createElement('span');
+            track.className = 'stats-bar-track';
+            const fill = document.createElement('span');
+            fill.className = 'stats-bar-fill';
+            fill.style.width = `${max > 0 ? (value / max) * 100 : 0}%`;
+            if (entry.color) {
+                fill.style.backgroundColor = entry.color;
+            }
+            track.appendChild(fill);
+
+            const amount = document.createElement('span');
+            amount.className = 'stats-bar-value';
+            amount.textContent = entry.valueLabel ||
+                (metric === 'watchTime' ? CountryChoropleth.formatHours(value) : value);
+            if (percentages && total > 0) {
+                amount.textContent += ` (${Math.round(value / total * 100)} %)`;
+            }
+
+            row.append(label, track, amount);
+            row.addEventListener('click', () => this.select(type, entry.key));
+            list.appendChild(row);
+        });
+
+        return list;
+    }
+
+    // Largest entries of a breakdown ({ name: { sessions, watchTime } })
+    static top(breakdown, metric, count = StatsView.TOP_COUNT) {
+        return Object.entries(breakdown)
+            .map(([name, stats]) => ({ key: name, label: name, sessions: stats.sessions, watchTime: stats.watchTime }))
+            .sort((a, b) => b[metric] - a[metric])
+            .slice(0, count);
+    }
+
+    // Day keys (TautulliAPI.getDayKey) from range.from to range.to
+    static getDays(range) {
+        const days = [];
+        const day = new Date(range.from);
+        day.setHours(0, 0, 0, 0);
+        while (day < range.to) {
+            days.push(TautulliAPI.getDayKey(day));
+            day.setDate(day.getDate() + 1);
+        }
+        return days;
+    }
+
+    static formatDay(dayKey) {
+        const [, month, day] = dayKey.split('-');
+        return `${day}/${month}`;
+    }
+}
+
+// Rows of the countries, users, platforms and players charts
+StatsView.TOP_COUNT = 10;
@@ -0,0 +1,98 @@
+// "Activité suspecte" panel of the side panel: AccountSharing findings, and
+// the number of cities and ISPs each user streamed from
+class SuspiciousPanel {
+    constructor(panel) {
+        this.panel = panel;
+        this.summary = panel.querySelector('summary');
+        this.content = panel.querySelector('.suspicious-content');
+        this.onSelect = null; // Called with the clicked finding
+    }
+
+    // result: AccountSharing.detect() of the shown sessions
+    render({ findings, users }) {
+        const userEntries = Object.entries(users)
+            .sort((a, b) => b[1].cities - a[1].cities || b[1].isps - a[1].isps || a[0].localeCompare(b[0]))
+            .slice(0, SuspiciousPanel.USER_COUNT);
+
+        this.panel.hidden = userEntries.length === 0;
+        this.summary.textContent = findings.length > 0 ?
+            `⚠️ Activité suspecte (${findings.length})` : 'Activité suspecte';
+        this.panel.classList.toggle('has-findings', findings.length > 0);
+        this.content.innerHTML = '';
+
+        if (findings.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'suspicious-empty';
+            empty.textContent = 'Aucune lecture simultanée lointaine ni trajet impossible';
+            this.content.appendChild(empty);
+        }
+
+        findings.forEach(finding => {
+            const row = document.createElement('button');
+            row.type = 'button';
+            row.className = 'suspicious-finding';
+            row.title = 'Afficher sur la carte';
+
+            const name = document.createElement('div');
+            name.className = 'user-name';
+            name.textContent = finding.username;
+
+            const detail = document.createElement('div');
+            detail.className = 'user-details';
+            detail.textContent = SuspiciousPanel.describe(finding);
+
+            row.append(name, detail);
+            row.addEventListener('click', () => {
+                if (this.onSelect) {
+                    this.onSelect(finding);
+                }
+            });
+            this.content.appendChild(row);
+        });
+
+        const heading = document.createElement('div');
+        heading.className = 'suspicious-heading';
+        heading.textContent = 'Lieux par utilisateur';
+        const list = document.createElement('ul');
+        list.className = 'suspicious-users';
+        userEntries.forEach(([username, counts]) => {
+            const item = document.createElement('li');
+            item.textContent = `${username} : ${counts.cities} ville${counts.cities > 1 ? 's' : ''}, ` +
+                `${counts.isps} FAI`;
+            list.appendChild(item);
+        });
+        this.content.append(heading, list);
+    }
+
+    static describe(finding) {
+        const distance = TautulliAPI.formatDistance(finding.distance);
+        const repeated = finding.occurrences > 1 ? ` · ${finding.occurrences} fois` : '';
+        const when = SuspiciousPanel.formatTime(finding.sessions[1]);
+
+        if (finding.type === 'concurrent') {
+            return `En même temps à ${finding.from} et ${finding.to} (${distance}), ${when}${repeated}`;
+        }
+
+        const gap = finding.hours < 1 ?
+            `${Math.round(finding.hours * 60)} min` :
+            `${finding.hours.toLocaleString('fr-FR', { maximumFractionDigits: 1 })} h`;
+        return `Trajet impossible de ${finding.from} à ${finding.to} : ${distance} en ${gap} ` +
+            `(${Math.round(finding.speed).toLocaleString('fr-FR')} km/h), ${when}${repeated}`;
+    }
+
+    // Start of a session, or "en cours" for live streams
+    static formatTime(session) {
+        if (session.isLive || !session.startTime) {
+            return 'en cours';
+        }
+        return new Date(session.startTime).toLocaleString('fr-FR', {
+            day: '2-digit',
+            month: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+}
+
+// Users listed with their number of cities and ISPs
+SuspiciousPanel.USER_COUNT = 10;
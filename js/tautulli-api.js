@@ -1,18 +1,18 @@
-// Tautulli API integration
+// Tautulli API integration, for one server of config.getServers()
 class TautulliAPI {
-    constructor(config) {
+    constructor(config, server) {
         this.config = config;
+        this.server = server; // { id, name, lat, lon, color, ... }
         this.cache = {
             geoip: new Map(),
             users: new Map()
         };
     }
 
-    // Build API URL with parameters
+    // Build proxy URL with parameters (the server adds the API key)
     buildUrl(cmd, params = {}) {
-        const url = new URL(this.config.getTautulliApiUrl());
-        url.searchParams.append('apikey', this.config.get('apiKey'));
-        url.searchParams.append('cmd', cmd);
+        const url = new URL(this.config.getTautulliProxyUrl(cmd), window.location.origin);
+        url.searchParams.append('server', this.server.id);
         
         for (const [key, value] of Object.entries(params)) {
             url.searchParams.append(key, value);
@@ -21,12 +21,21 @@ class TautulliAPI {
         return url.toString();
     }
 
+    // Poster or artwork through Tautulli's pms_image_proxy, for an <img>
+    getImageUrl(thumb, width, height) {
+        return this.buildUrl('pms_image_proxy', { img: thumb, width, height, fallback: 'poster' });
+    }
+
     // Generic API request method
     async request(cmd, params = {}) {
         try {
             const url = this.buildUrl(cmd, params);
             const response = await fetch(url);
             
+            if (response.status === 401) {
+                auth.requireLogin(await response.json());
+            }
+
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
@@ -34,7 +43,9 @@ class TautulliAPI {
             const data = await response.json();
             
             if (data.response.result !== 'success') {
-                throw new Error(data.response.message || 'API request failed');
+                const apiError = new Error(data.response.message || 'API request failed');
+                apiError.apiError = true;
+                throw apiError;
             }
             
             return data.response.data;
@@ -74,6 +85,12 @@ class TautulliAPI {
 
     // Get GeoIP information for an IP address
     async getGeoIP(ipAddress) {
+        // Configured internal ranges have fixed coordinates
+        const internalLocation = this.getInternalLocation(ipAddress);
+        if (internalLocation) {
+            return internalLocation;
+        }
+
         // Skip local IPs
         if (this.isLocalIP(ipAddress)) {
             return null;
@@ -84,42 +101,141 @@ class TautulliAPI {
         }
 
         try {
-            const data = await this.request('get_geoip_lookup', { ip_address: ipAddress });
-            
-            if (data && data.latitude && data.longitude) {
-                const geoData = {
-                    lat: parseFloat(data.latitude),
-                    lon: parseFloat(data.longitude),
-                    city: data.city || 'Unknown',
-                    region: data.region || '',
-                    country: data.country || 'Unknown',
-                    isp: data.isp || 'Unknown ISP'
-                };
-                
+            const geoData = await this.lookupGeoIP(ipAddress);
+            if (geoData) {
                 this.cache.geoip.set(ipAddress, geoData);
-                return geoData;
             }
-            
-            return null;
+            return geoData;
         } catch (error) {
             console.error(`Failed to get GeoIP for ${ipAddress}:`, error);
             return null;
         }
     }
 
-    // Check if IP is local
+    // Ask the server, whose persistent GeoIP cache is shared by every tab
+    async lookupGeoIP(ipAddress) {
+        const response = await fetch(`${this.config.geoipApiUrl}/${encodeURIComponent(ipAddress)}?server=${encodeURIComponent(this.server.id)}`);
+
+        if (response.status === 401) {
+            auth.requireLogin(await response.json());
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.location;
+    }
+
+    // Look an IP up with Tautulli's get_geoip_lookup. Returns null when Tautulli
+    // can't locate it, throws when Tautulli can't be reached.
+    async fetchGeoIPFromTautulli(ipAddress) {
+        let data;
+        try {
+            data = await this.request('get_geoip_lookup', { ip_address: ipAddress });
+        } catch (error) {
+            if (error.apiError) {
+                return null;
+            }
+            throw error;
+        }
+
+        if (data && data.latitude && data.longitude) {
+            return {
+                lat: parseFloat(data.latitude),
+                lon: parseFloat(data.longitude),
+                city: data.city || 'Unknown',
+                region: data.region || '',
+                country: data.country || 'Unknown',
+                isp: data.isp || 'Unknown ISP'
+            };
+        }
+        
+        return null;
+    }
+
+    // Check if IP is local: private, loopback, link-local and CGNAT ranges
+    // (IPv4 and IPv6) plus the configured internal ranges
     isLocalIP(ip) {
-        return ip === '127.0.0.1' || 
-               ip === 'localhost' || 
-               ip.startsWith('192.168.') || 
-               ip.startsWith('10.') || 
-               ip.startsWith('172.');
+        return IPRanges.isPrivate(ip) || IPRanges.findRange(ip, this.config.get('internalRanges')) !== null;
     }
 
-    // Get all active streams with location data
-    async getActiveStreams() {
+    // Location of the most specific configured internal range containing
+    // the IP, or null
+    getInternalLocation(ipAddress) {
+        const range = IPRanges.findRange(ipAddress, this.config.get('internalRanges'));
+        if (!range) {
+            return null;
+        }
+
+        return {
+            lat: range.lat,
+            lon: range.lon,
+            city: range.label,
+            region: '',
+            country: 'LAN',
+            isp: range.label,
+            provider: 'internal'
+        };
+    }
+
+    // Manual location override for a session: by user id first, then
+    // username, then the most specific IP range. Null if none applies.
+    findLocationOverride(session) {
+        const overrides = this.config.get('locationOverrides') || [];
+        const username = (session.username || '').toLowerCase();
+
+        const byUserId = overrides.find(override =>
+            override.type === 'userId' && session.userId !== undefined && String(override.value) === String(session.userId));
+        if (byUserId) {
+            return byUserId;
+        }
+
+        const byUsername = overrides.find(override =>
+            override.type === 'username' && override.value.toLowerCase() === username);
+        if (byUsername) {
+            return byUsername;
+        }
+
+        const ipOverrides = overrides
+            .filter(override => override.type === 'ip')
+            .map(override => ({ ...override, cidr: override.value }));
+        return IPRanges.findRange(session.ipAddress, ipOverrides);
+    }
+
+    // Session with its location replaced by the matching manual override.
+    // Country and ISP from GeoIP are kept for the statistics.
+    applyLocationOverride(session) {
+        const override = this.findLocationOverride(session);
+        if (!override) {
+            return session;
+        }
+
+        return {
+            ...session,
+            location: {
+                country: 'Unknown',
+                isp: 'Unknown ISP',
+                ...session.location,
+                lat: override.lat,
+                lon: override.lon,
+                city: override.label,
+                region: '',
+                provider: 'override',
+                manual: true,
+                placeholder: false
+            }
+        };
+    }
+
+    // Get all active streams with location data, from an already fetched
+    // get_activity result when one is given
+    async getActiveStreams(activity) {
         try {
-            const activity = await this.getActivity();
+            if (activity === undefined) {
+                activity = await this.getActivity();
+            }
             
             if (!activity || !activity.sessions) {
                 console.log('No active sessions found');
@@ -144,23 +260,25 @@ class TautulliAPI {
                     const angle = (2 * Math.PI * index) / activity.sessions.length;
                     const radius = 0.01; // Larger offset for visibility
                     geoData = {
-                        lat: this.config.get('serverLat') + radius * Math.sin(angle),
-                        lon: this.config.get('serverLon') + radius * Math.cos(angle),
+                        lat: this.server.lat + radius * Math.sin(angle),
+                        lon: this.server.lon + radius * Math.cos(angle),
                         city: this.isLocalIP(session.ip_address) ? 'Local Network' : 'Unknown',
                         region: '',
                         country: this.isLocalIP(session.ip_address) ? 'LAN' : 'Unknown',
-                        isp: this.isLocalIP(session.ip_address) ? 'Local Network' : 'Unknown ISP'
+                        isp: this.isLocalIP(session.ip_address) ? 'Local Network' : 'Unknown ISP',
+                        placeholder: !this.isLocalIP(session.ip_address)
                     };
                     console.log(`Created position for ${session.username} (${session.ip_address}):`, geoData);
                 }
                 
-                // Ensure unique session key by combining with timestamp and index
+                // Ensure unique session key by combining with server, timestamp and index
                 const uniqueSessionKey = session.session_key ?
-                    `${session.session_key}-${session.started || Date.now()}-${index}` :
-                    `session-${Date.now()}-${index}`;
+                    `${this.server.id}-${session.session_key}-${session.started || Date.now()}-${index}` :
+                    `${this.server.id}-session-${Date.now()}-${index}`;
                 
                 return {
                     sessionKey: uniqueSessionKey,
+                    serverId: this.server.id,
                     userId: session.user_id,
                     username: session.friendly_name || session.username || 'Unknown User',
                     ipAddress: session.ip_address,
@@ -175,6 +293,7 @@ class TautulliAPI {
                     },
                     stream: {
                         state: session.state,
+                        transcodeDecision: session.transcode_decision,
                         videoDecision: session.video_decision,
                         audioDecision: session.audio_decision,
                         bandwidth: session.bandwidth ? parseInt(session.bandwidth) : 0,
@@ -192,7 +311,9 @@ class TautulliAPI {
             }));
 
             // Log streams info
-            const validStreams = streams.filter(stream => stream.location !== null);
+            const validStreams = streams
+                .filter(stream => stream.location !== null)
+                .map(stream => this.applyLocationOverride(stream));
             console.log(`Streams with valid location: ${validStreams.length}/${streams.length}`);
             
             // Return all streams with locations (including local ones)
@@ -234,60 +355,110 @@ class TautulliAPI {
         return media.title;
     }
 
+    // Name of the GeoIP provider that resolved a location
+    static formatGeoProvider(provider) {
+        const labels = {
+            mmdb: 'Base locale',
+            tautulli: 'Tautulli',
+            internal: 'Plage interne',
+            override: 'Manuelle'
+        };
+        return labels[provider] || null;
+    }
+
+    static formatDistance(distance) {
+        if (distance < 1) return '< 1 km';
+        return `${Math.round(distance).toLocaleString('fr-FR')} km`;
+    }
+
+    // False for a viewer that couldn't be located: its placeholder location
+    // next to the server isn't where they are. LAN viewers without an internal
+    // range really are next to it.
+    static isLocated(location) {
+        return Boolean(location) && location.lat != null && location.lon != null && !location.placeholder;
+    }
+
+    // Great-circle distance (km) from a server to a session's viewer, or null
+    // when the viewer couldn't be located
+    static getDistance(session, server) {
+        const location = session.location;
+        if (!server || !TautulliAPI.isLocated(location)) {
+            return null;
+        }
+        return Geodesic.distance([server.lat, server.lon], [location.lat, location.lon]);
+    }
+
+    // Key of the TautulliAPI.DISTANCE_BUCKETS a distance falls in
+    static getDistanceBucket(distance) {
+        return TautulliAPI.DISTANCE_BUCKETS.find(bucket => distance < bucket.below).key;
+    }
+
+    // Local day of a timestamp as YYYY-MM-DD, the keys of getHistoryStats' byDay
+    static getDayKey(time) {
+        const date = new Date(time);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
     // Clear caches
     clearCache() {
         this.cache.geoip.clear();
         this.cache.users.clear();
     }
 
-    // Get history data from Tautulli
-    async getHistory(start_date = null, end_date = null, length = 50000) {
-        const params = {
-            length: length,
+    // Get raw history rows from Tautulli between two datetimes, paging
+    // through get_history until the range start has been passed
+    async getHistory(startDate, endDate, pageSize = TautulliAPI.HISTORY_PAGE_SIZE) {
+        const startMs = new Date(startDate).getTime();
+        const endMs = new Date(endDate).getTime();
+
+        // Tautulli's after/before filters are inclusive calendar days in the
+        // server's timezone: widen by a day and filter exact times below
+        const toDay = (ms) => {
+            const d = new Date(ms);
+            d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+            return d.toISOString().slice(0, 10);
+        };
+        const dayMs = 24 * 60 * 60 * 1000;
+
+        const baseParams = {
+            length: pageSize,
             order_column: 'date',
             order_dir: 'desc',
-            include_activity: 1  // Include all activity types
+            include_activity: 1,
+            after: toDay(startMs - dayMs),
+            before: toDay(endMs + dayMs)
         };
 
-        // Set date range if provided
-        if (start_date && end_date) {
-            // Parse dates and ensure they're valid
-            const startDate = new Date(start_date);
-            const endDate = new Date(end_date);
-            
-            // Tautulli expects Unix timestamps
-            const startTimestamp = Math.floor(startDate.getTime() / 1000);
-            const endTimestamp = Math.floor(endDate.getTime() / 1000);
-            
-            // Try different parameter names that Tautulli might accept
-            params.start = startTimestamp;   // Some versions use 'start'
-            params.before = endTimestamp;    // Before end date
-            
-            console.log(`Fetching history between dates: ${startDate.toISOString()} to ${endDate.toISOString()}`);
-            console.log(`Fetching history between timestamps: ${startTimestamp} to ${endTimestamp}`);
-            console.log(`Start: ${new Date(startTimestamp * 1000).toLocaleString()}`);
-            console.log(`End: ${new Date(endTimestamp * 1000).toLocaleString()}`);
-            
-            // Also try with string dates in case the API prefers them
-            params.start_date = start_date;
-            params.end_date = end_date;
-        }
+        console.log(`Fetching history between ${new Date(startMs).toLocaleString()} and ${new Date(endMs).toLocaleString()}`);
 
-        try {
-            const data = await this.request('get_history', params);
-            console.log(`Tautulli returned ${data.data?.length || 0} history items`);
-            console.log(`Total records available: ${data.recordsTotal || 'unknown'}`);
-            
-            // If we didn't get all records, we might need to paginate
-            if (data.recordsTotal && data.recordsTotal > length) {
-                console.warn(`WARNING: Total records (${data.recordsTotal}) exceeds limit (${length}). Some data might be missing.`);
+        const rows = [];
+        let start = 0;
+
+        while (true) {
+            const data = await this.request('get_history', { ...baseParams, start });
+            const page = data.data || [];
+            const total = data.recordsFiltered ?? data.recordsTotal ?? 0;
+
+            for (const session of page) {
+                const startedMs = session.started * 1000;
+                if (startedMs >= startMs && startedMs <= endMs) {
+                    rows.push(session);
+                }
+            }
+
+            start += page.length;
+            console.log(`Fetched ${start}/${total} history rows, ${rows.length} in range`);
+
+            // Rows are newest first: once the oldest row of the page is before
+            // the range start, every following page is too
+            const oldest = page[page.length - 1];
+            if (page.length < pageSize || start >= total || (oldest && oldest.started * 1000 < startMs)) {
+                break;
             }
-            
-            return data.data || [];
-        } catch (error) {
-            console.error('Failed to get history:', error);
-            return [];
         }
+
+        return rows;
     }
 
     // Get location from IP for historical data
@@ -299,98 +470,111 @@ class TautulliAPI {
             // For local IPs or failed lookups, return a default location near server
             const randomOffset = () => (Math.random() - 0.5) * 0.02;
             return {
-                lat: this.config.get('serverLat') + randomOffset(),
-                lon: this.config.get('serverLon') + randomOffset(),
+                lat: this.server.lat + randomOffset(),
+                lon: this.server.lon + randomOffset(),
                 city: this.isLocalIP(ipAddress) ? 'Local Network' : 'Unknown',
                 region: '',
                 country: this.isLocalIP(ipAddress) ? 'LAN' : 'Unknown',
-                isp: this.isLocalIP(ipAddress) ? 'Local Network' : 'Unknown ISP'
+                isp: this.isLocalIP(ipAddress) ? 'Local Network' : 'Unknown ISP',
+                placeholder: !this.isLocalIP(ipAddress)
             };
         }
         
         return geoData;
     }
 
-    // Get history for the last N days
-    async getHistoryDays(days = 10) {
-        const endDate = new Date();
-        const startDate = new Date();
-        startDate.setDate(startDate.getDate() - days);
-
-        console.log(`Fetching all history and filtering for last ${days} days`);
-        console.log(`Date range: ${startDate.toLocaleString()} to ${endDate.toLocaleString()}`);
-
-        // First, try to get ALL history without date filtering
-        // The API might not support date filtering properly
-        const params = {
-            length: 1000,  // Get more records
-            order_column: 'date',
-            order_dir: 'desc',
-            include_activity: 1
+    // Convert a raw get_history row to the session shape used by history mode
+    async normalizeHistorySession(session, index = 0) {
+        // Process all sessions, even without IP
+        const locationData = await this.getLocationFromIP(session.ip_address || '0.0.0.0');
+        
+        return {
+            sessionKey: `hist-${this.server.id}-${session.reference_id || session.session_key || session.id || Math.random()}-${index}`,
+            historyId: session.id ?? null,
+            serverId: this.server.id,
+            username: session.user || session.username || session.friendly_name || 'Unknown User',
+            userId: session.user_id,
+            ipAddress: session.ip_address || 'Unknown',
+            location: locationData,
+            media: {
+                type: session.media_type,
+                title: session.full_title || session.title || 'Unknown',
+                year: session.year,
+                grandparentTitle: session.grandparent_title || '',
+                parentTitle: session.parent_title || '',
+                thumb: session.thumb
+            },
+            stream: {
+                player: session.player,
+                platform: session.platform,
+                quality: session.quality_profile || session.transcode_decision || 'Unknown',
+                bandwidth: parseInt(session.bandwidth) || 0,
+                transcodeDecision: session.transcode_decision
+            },
+            startTime: session.started * 1000, // Convert to milliseconds
+            stopTime: session.stopped ? session.stopped * 1000 : (session.started + (session.duration || 0)) * 1000,
+            duration: session.duration || 0,
+            pausedDuration: session.paused_duration || 0,
+            watchedDuration: (session.duration || 0) - (session.paused_duration || 0)
         };
+    }
 
+    // Get { sessions, coverage } from the server-side archive, or null when it
+    // doesn't cover the start of the requested range and Tautulli must be
+    // queried directly
+    async getArchivedHistory(startDate, endDate) {
         try {
-            const data = await this.request('get_history', params);
-            console.log(`Tautulli returned ${data.data?.length || 0} history items`);
-            console.log(`Total records available: ${data.recordsTotal || 'unknown'}`);
-            
-            const history = data.data || [];
-            
-            // Now filter client-side for our date range
-            const filteredHistory = history.filter(session => {
-                const sessionDate = session.started * 1000;
-                const inRange = sessionDate >= startDate.getTime() && sessionDate <= endDate.getTime();
-                if (inRange && history.indexOf(session) < 5) {
-                    console.log(`Session: ${session.user} watched "${session.full_title || session.title}" on ${new Date(sessionDate).toLocaleString()}`);
-                }
-                return inRange;
-            });
+            const url = new URL(this.config.historyApiUrl, window.location.origin);
+            url.searchParams.append('from', new Date(startDate).getTime());
+            url.searchParams.append('to', new Date(endDate).getTime());
+            url.searchParams.append('server', this.server.id);
+
+            const response = await fetch(url);
+            if (!response.ok) {
+                console.log(`History archive unavailable (status ${response.status})`);
+                return null;
+            }
+
+            const data = await response.json();
+            if (!data.coverage || data.coverage.from > new Date(startDate).getTime()) {
+                console.log('History archive does not cover the requested range');
+                return null;
+            }
+
+            console.log(`Loaded ${data.sessions.length} sessions from the history archive`);
+            return data;
+        } catch (error) {
+            console.warn('Failed to load archived history:', error);
+            return null;
+        }
+    }
+
+    // Get processed history sessions between two datetimes. Manual location
+    // overrides are applied here rather than when normalizing, so archived
+    // sessions follow override changes.
+    async getHistoryRange(startDate, endDate) {
+        const archived = await this.getArchivedHistory(startDate, endDate);
+        if (archived) {
+            const recent = await this.getHistoryAfterArchive(archived, startDate, endDate);
+            return [...archived.sessions, ...recent]
+                .map(session => this.applyLocationOverride(session))
+                .sort((a, b) => a.startTime - b.startTime);
+        }
 
-            console.log(`Sessions within last ${days} days: ${filteredHistory.length}`);
+        try {
+            const history = await this.getHistory(startDate, endDate);
+            console.log(`Sessions in range: ${history.length}`);
             
             // Log unique users found
-            const uniqueUsers = new Set(filteredHistory.map(s => s.user || s.username || s.friendly_name || 'Unknown'));
+            const uniqueUsers = new Set(history.map(s => s.user || s.username || s.friendly_name || 'Unknown'));
             console.log(`Unique users found: ${Array.from(uniqueUsers).join(', ')}`);
             
-            // If we got fewer records than total, warn the user
-            if (data.recordsTotal && history.length < data.recordsTotal) {
-                console.warn(`WARNING: Only received ${history.length} of ${data.recordsTotal} total records. Some sessions may be missing.`);
-                console.warn(`Try increasing the 'length' parameter or implement pagination.`);
-            }
-            
-            // Continue with processing the filtered history
             const processedHistory = [];
             let processedCount = 0;
             
-            for (const session of filteredHistory) {
-                // Process all sessions, even without IP
-                const locationData = await this.getLocationFromIP(session.ip_address || '0.0.0.0');
-                
-                const processedSession = {
-                    sessionKey: `hist-${session.reference_id || session.session_key || session.id || Math.random()}-${processedCount}`,
-                    username: session.user || session.username || session.friendly_name || 'Unknown User',
-                    userId: session.user_id,
-                    ipAddress: session.ip_address || 'Unknown',
-                    location: locationData,
-                    media: {
-                        type: session.media_type,
-                        title: session.full_title || session.title || 'Unknown',
-                        year: session.year,
-                        grandparentTitle: session.grandparent_title || '',
-                        parentTitle: session.parent_title || ''
-                    },
-                    stream: {
-                        player: session.player,
-                        platform: session.platform,
-                        quality: session.quality_profile || session.transcode_decision || 'Unknown',
-                        bandwidth: parseInt(session.bandwidth) || 0
-                    },
-                    startTime: session.started * 1000, // Convert to milliseconds
-                    stopTime: session.stopped ? session.stopped * 1000 : (session.started + (session.duration || 0)) * 1000,
-                    duration: session.duration || 0,
-                    pausedDuration: session.paused_duration || 0,
-                    watchedDuration: (session.duration || 0) - (session.paused_duration || 0)
-                };
+            for (const session of history) {
+                const processedSession = this.applyLocationOverride(
+                    await this.normalizeHistorySession(session, processedCount));
                 
                 processedHistory.push(processedSession);
                 processedCount++;
@@ -414,6 +598,42 @@ class TautulliAPI {
         }
     }
 
+    // Sessions that ended after the archive's last history poll (coverage.to),
+    // read from Tautulli so the end of the range isn't missing
+    async getHistoryAfterArchive({ sessions, coverage }, startDate, endDate) {
+        if (coverage.to === null || coverage.to >= new Date(endDate).getTime()) {
+            return [];
+        }
+
+        try {
+            // Only the sessions started shortly before the last poll: longer ones
+            // still playing then are archived by the next poll
+            const from = Math.max(new Date(startDate).getTime(), coverage.to - TautulliAPI.ARCHIVE_OVERLAP_MS);
+            const rows = await this.getHistory(new Date(from), endDate);
+            const archivedIds = new Set(sessions.map(session => session.historyId));
+
+            // Rows without an id are still playing: the archive sends them as live sessions
+            const recent = [];
+            for (const row of rows) {
+                if (row.id === null || row.id === undefined || archivedIds.has(row.id)) continue;
+                recent.push(await this.normalizeHistorySession(row, recent.length));
+            }
+            console.log(`Loaded ${recent.length} sessions ended after the last archive poll`);
+            return recent;
+        } catch (error) {
+            console.warn('Failed to load history after the archive:', error);
+            return [];
+        }
+    }
+
+    // Get history for the last N days
+    async getHistoryDays(days = 10) {
+        const endDate = new Date();
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - days);
+        return this.getHistoryRange(startDate, endDate);
+    }
+
     // Get history statistics
     async getHistoryStats(history) {
         const stats = {
@@ -423,8 +643,26 @@ class TautulliAPI {
             uniqueCountries: new Set(),
             byUser: {},
             byCountry: {},
-            byDay: {},
-            byHour: Array(24).fill(0)
+            byDay: {}, // TautulliAPI.getDayKey -> { sessions, watchTime }
+            byHour: Array(24).fill(0),
+            byPlatform: {},
+            byPlayer: {},
+            byDecision: {},
+            byDistance: {}, // TautulliAPI.DISTANCE_BUCKETS key -> { sessions, watchTime }
+            averageDistance: null, // km, of the located sessions
+            maxDistance: null
+        };
+        let distanceTotal = 0;
+        let locatedSessions = 0;
+        const userDistances = new Map(); // username -> { total, sessions } of located sessions
+
+        // { sessions, watchTime } of a session's value in one breakdown
+        const count = (breakdown, key, session) => {
+            if (!breakdown[key]) {
+                breakdown[key] = { sessions: 0, watchTime: 0 };
+            }
+            breakdown[key].sessions++;
+            breakdown[key].watchTime += session.watchedDuration;
         };
 
         history.forEach(session => {
@@ -436,8 +674,19 @@ class TautulliAPI {
 
             // By country
             if (session.location?.country) {
-                stats.uniqueCountries.add(session.location.country);
-                stats.byCountry[session.location.country] = (stats.byCountry[session.location.country] || 0) + 1;
+                const country = session.location.country;
+                stats.uniqueCountries.add(country);
+                if (!stats.byCountry[country]) {
+                    stats.byCountry[country] = {
+                        sessions: 0,
+                        watchTime: 0,
+                        uniqueUsers: new Set(),
+                        countryCode: session.location.countryCode || ''
+                    };
+                }
+                stats.byCountry[country].sessions++;
+                stats.byCountry[country].watchTime += session.watchedDuration;
+                stats.byCountry[country].uniqueUsers.add(session.username);
             }
 
             // By user
@@ -445,24 +694,121 @@ class TautulliAPI {
                 stats.byUser[session.username] = {
                     sessions: 0,
                     watchTime: 0,
-                    location: session.location
+                    location: session.location,
+                    averageDistance: null,
+                    maxDistance: null,
+                    farthestLocation: null
                 };
             }
-            stats.byUser[session.username].sessions++;
-            stats.byUser[session.username].watchTime += session.watchedDuration;
+            const user = stats.byUser[session.username];
+            user.sessions++;
+            user.watchTime += session.watchedDuration;
+
+            // Distance from the session's server
+            const distance = TautulliAPI.getDistance(session, this.config.getServer(session.serverId));
+            if (distance !== null) {
+                count(stats.byDistance, TautulliAPI.getDistanceBucket(distance), session);
+                distanceTotal += distance;
+                locatedSessions++;
+                stats.maxDistance = Math.max(stats.maxDistance ?? 0, distance);
+
+                const userDistance = userDistances.get(session.username) || { total: 0, sessions: 0 };
+                userDistance.total += distance;
+                userDistance.sessions++;
+                userDistances.set(session.username, userDistance);
+                if (user.maxDistance === null || distance > user.maxDistance) {
+                    user.maxDistance = distance;
+                    user.farthestLocation = session.location;
+                }
+            }
 
             // By day
-            const day = new Date(session.startTime).toLocaleDateString();
-            stats.byDay[day] = (stats.byDay[day] || 0) + 1;
+            count(stats.byDay, TautulliAPI.getDayKey(session.startTime), session);
 
             // By hour
             const hour = new Date(session.startTime).getHours();
             stats.byHour[hour]++;
+
+            // By platform, player and stream decision (history rows only
+            // have the overall decision)
+            if (session.stream.platform) {
+                count(stats.byPlatform, session.stream.platform, session);
+            }
+            if (session.stream.player) {
+                count(stats.byPlayer, session.stream.player, session);
+            }
+            count(stats.byDecision, session.stream.transcodeDecision || 'direct play', session);
         });
 
         stats.uniqueUsers = stats.uniqueUsers.size;
         stats.uniqueCountries = stats.uniqueCountries.size;
+        Object.values(stats.byCountry).forEach(country => {
+            country.uniqueUsers = country.uniqueUsers.size;
+        });
+        stats.averageDistance = locatedSessions > 0 ? distanceTotal / locatedSessions : null;
+        userDistances.forEach(({ total, sessions }, username) => {
+            stats.byUser[username].averageDistance = total / sessions;
+        });
 
         return stats;
     }
-}
\ No newline at end of file
+}
+
+// Rows requested per get_history page
+TautulliAPI.HISTORY_PAGE_SIZE = 500;
+
+// How far before the archive's last poll to read Tautulli again
+TautulliAPI.ARCHIVE_OVERLAP_MS = 10 * 60 * 1000;
+
+// Distance from the server to viewers, by upper bound (km). Plain distance
+// ranges: GeoIP places many viewers in their ISP's nearest large city, so
+// under 25 km doesn't mean the same city.
+TautulliAPI.DISTANCE_BUCKETS = [
+    { key: 'under25', label: 'Moins de 25 km', below: 25 },
+    { key: 'regional', label: '25 à 100 km', below: 100 },
+    { key: 'national', label: '100 à 1 000 km', below: 1000 },
+    { key: 'far', label: '1 000 à 5 000 km', below: 5000 },
+    { key: 'intercontinental', label: 'Intercontinental (5 000 km et plus)', below: Infinity }
+];
+
+// The TautulliAPI of every configured server, queried together: sessions of
+// all servers are merged, each tagged with its serverId
+class TautulliServers {
+    constructor(config) {
+        this.config = config;
+        this.apis = config.getServers().map(server => new TautulliAPI(config, server));
+    }
+
+    get(serverId) {
+        return this.apis.find(api => api.server.id === serverId) || null;
+    }
+
+    async getActiveStreams() {
+        const streams = await Promise.all(this.apis.map(api => api.getActiveStreams()));
+        return streams.flat();
+    }
+
+    async getHistoryRange(startDate, endDate) {
+        const sessions = await Promise.all(this.apis.map(api => api.getHistoryRange(startDate, endDate)));
+        return sessions.flat().sort((a, b) => a.startTime - b.startTime);
+    }
+
+    async getHistoryDays(days = 10) {
+        const sessions = await Promise.all(this.apis.map(api => api.getHistoryDays(days)));
+        return sessions.flat().sort((a, b) => a.startTime - b.startTime);
+    }
+
+    // Statistics don't depend on the server
+    async getHistoryStats(history) {
+        return TautulliAPI.prototype.getHistoryStats.call(this, history);
+    }
+
+    clearCache() {
+        this.apis.forEach(api => api.clearCache());
+    }
+}
+
+// Shared with the Node server (lib/tautulli-client.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TautulliAPI;
+}
@@ -0,0 +1,210 @@
+const EventEmitter = require('events');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Locations that aren't a real country, never reported as new
+const IGNORED_COUNTRIES = new Set(['LAN', 'Unknown']);
+
+// Checks the alert rules (settings.alertRules) against every activity poll.
+// Alerts routed to the browser are emitted as 'alert' events for the live
+// stream clients, the others are POSTed to settings.alertWebhookUrl.
+class AlertMonitor extends EventEmitter {
+    constructor(poller, archive) {
+        super();
+        this.poller = poller;
+        this.archive = archive;
+        // serverId -> live keys of the last poll, for servers that answered.
+        // A server's first answer only sets this baseline, so a restart or a
+        // reconnection doesn't report every running stream as new.
+        this.knownStreams = new Map();
+        this.transcoding = new Set(); // Live keys of transcoded streams
+        this.seenCountries = null; // Filled from the archive on the first poll
+        this.exceeded = new Set(); // Threshold rules currently above their threshold
+        this.alertCount = 0;
+
+        poller.on('activity', state => this.check(state));
+    }
+
+    check(state) {
+        const settings = this.poller.settings;
+        if (!settings) return;
+
+        if (this.seenCountries === null) {
+            this.seenCountries = this.archive.getCountries();
+        }
+
+        const started = [];
+        const newCountries = [];
+        const transcodeStarted = [];
+        const knownStreams = new Map();
+        const transcoding = new Set();
+
+        for (const [serverId, connected] of Object.entries(state.servers)) {
+            if (connected) {
+                knownStreams.set(serverId, new Set());
+            }
+        }
+
+        for (const stream of state.streams) {
+            const key = this.poller.getLiveKey(stream);
+            const previous = this.knownStreams.get(stream.serverId);
+            knownStreams.get(stream.serverId).add(key);
+
+            const isTranscoding = AlertMonitor.isTranscoding(stream);
+            if (isTranscoding) {
+                transcoding.add(key);
+            }
+
+            const country = stream.location && stream.location.country;
+            const isNewCountry = Boolean(country) && !IGNORED_COUNTRIES.has(country) && !this.seenCountries.has(country);
+            if (country) {
+                this.seenCountries.add(country);
+            }
+
+            if (!previous) continue; // Baseline poll of this server
+
+            if (!previous.has(key)) {
+                started.push(stream);
+            }
+            if (isNewCountry) {
+                newCountries.push(stream);
+            }
+            if (isTranscoding && !this.transcoding.has(key)) {
+                transcodeStarted.push(stream);
+            }
+        }
+
+        this.knownStreams = knownStreams;
+        this.transcoding = transcoding;
+
+        const totalMbps = state.streams.reduce((sum, stream) => sum + (stream.stream.bandwidth || 0), 0) / 1000;
+        const alerts = [];
+
+        for (const rule of settings.alertRules) {
+            switch (rule.type) {
+                case 'streamStarted':
+                    started.forEach(stream => alerts.push(this.createAlert(rule, 'Nouvelle lecture',
+                        `${stream.username} regarde ${stream.media.title}${AlertMonitor.formatPlace(stream)}`, { stream })));
+                    break;
+
+                case 'newCountry':
+                    newCountries.forEach(stream => alerts.push(this.createAlert(rule, 'Nouveau pays',
+                        `Première lecture depuis ${stream.location.country} : ${stream.username} regarde ${stream.media.title}`,
+                        { stream })));
+                    break;
+
+                case 'transcodeStarted':
+                    transcodeStarted.forEach(stream => alerts.push(this.createAlert(rule, 'Transcodage',
+                        `${stream.media.title} est transcodé pour ${stream.username} (${stream.stream.player})`, { stream })));
+                    break;
+
+                case 'bandwidthAbove':
+                    if (this.crossed(rule, totalMbps)) {
+                        alerts.push(this.createAlert(rule, 'Débit élevé',
+                            `Débit total de ${totalMbps.toFixed(1)} Mbps (seuil : ${rule.threshold} Mbps)`, { value: totalMbps }));
+                    }
+                    break;
+
+                case 'concurrentAbove':
+                    if (this.crossed(rule, state.streams.length)) {
+                        alerts.push(this.createAlert(rule, 'Lectures simultanées',
+                            `${state.streams.length} lectures en cours (seuil : ${rule.threshold})`, { value: state.streams.length }));
+                    }
+                    break;
+            }
+        }
+
+        alerts.forEach(alert => this.dispatch(alert, settings));
+    }
+
+    // True when value goes above the rule's threshold, once until it falls
+    // back to or below it
+    crossed(rule, value) {
+        const key = `${rule.type}:${rule.threshold}`;
+        if (value <= rule.threshold) {
+            this.exceeded.delete(key);
+            return false;
+        }
+        if (this.exceeded.has(key)) {
+            return false;
+        }
+        this.exceeded.add(key);
+        return true;
+    }
+
+    // Payload of the 'alert' events and webhook calls
+    createAlert(rule, title, message, { stream = null, value = null } = {}) {
+        this.alertCount += 1;
+        return {
+            id: `${Date.now()}-${this.alertCount}`,
+            type: rule.type,
+            channel: rule.channel,
+            title,
+            message,
+            text: `${title} : ${message}`, // For chat webhooks that only show a text field
+            time: new Date().toISOString(),
+            threshold: rule.threshold ?? null,
+            value,
+            stream: stream && {
+                serverId: stream.serverId,
+                username: stream.username,
+                title: stream.media.title,
+                mediaType: stream.media.type,
+                player: stream.stream.player,
+                platform: stream.stream.platform,
+                bandwidthKbps: stream.stream.bandwidth || 0,
+                transcodeDecision: stream.stream.transcodeDecision || '',
+                ipAddress: stream.ipAddress,
+                city: stream.location ? stream.location.city : '',
+                country: stream.location ? stream.location.country : ''
+            }
+        };
+    }
+
+    // Test alert for the settings' test button
+    createTestAlert() {
+        return this.createAlert({ type: 'test', channel: 'webhook' }, 'Test d\'alerte',
+            'Le webhook des alertes Tautulli Map fonctionne');
+    }
+
+    dispatch(alert, settings) {
+        console.log(`Alert (${alert.type}): ${alert.message}`);
+
+        if (alert.channel !== 'webhook') {
+            this.emit('alert', alert);
+        }
+        if (alert.channel !== 'browser' && settings.alertWebhookUrl) {
+            AlertMonitor.sendWebhook(settings.alertWebhookUrl, alert).catch(error => {
+                console.error(`Alert webhook failed (${alert.type}):`, error.message);
+            });
+        }
+    }
+
+    static async sendWebhook(url, alert) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(alert),
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw new Error(`Webhook returned HTTP ${response.status}`);
+        }
+    }
+
+    // Video or audio transcoded, as MapManager.getStreamDecision
+    static isTranscoding(stream) {
+        return [stream.stream.transcodeDecision, stream.stream.videoDecision, stream.stream.audioDecision]
+            .includes('transcode');
+    }
+
+    static formatPlace(stream) {
+        const location = stream.location;
+        if (!location || !location.country || IGNORED_COUNTRIES.has(location.country)) {
+            return '';
+        }
+        return location.city ? ` (${location.city}, ${location.country})` : ` (${location.country})`;
+    }
+}
+
+module.exports = AlertMonitor;
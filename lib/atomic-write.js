@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Write to a temp file next to the target, then rename it into place so
+// readers never see a half-written file. The random suffix keeps concurrent
+// writes of the same file from sharing a temp file.
+async function writeFileAtomic(file, content, options = {}) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+        await fs.writeFile(tempFile, content, options);
+        await fs.rename(tempFile, file);
+    } catch (error) {
+        await fs.unlink(tempFile).catch(() => {});
+        throw error;
+    }
+}
+
+async function writeJsonAtomic(file, data, options = {}) {
+    await writeFileAtomic(file, JSON.stringify(data, null, 2), options);
+}
+
+module.exports = {
+    writeFileAtomic,
+    writeJsonAtomic
+};
@@ -0,0 +1,298 @@
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { promisify } = require('util');
+const { writeJsonAtomic } = require('./atomic-write');
+
+const AUTH_FILE = path.join(__dirname, '..', 'config', 'auth.json');
+const SESSION_COOKIE = 'tmv_session';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MIN_PASSWORD_LENGTH = 8;
+// Failed logins allowed per IP address before it has to wait for the window to end
+const LOGIN_MAX_ATTEMPTS = 10;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+
+const scrypt = promisify(crypto.scrypt);
+
+// Role hierarchy: an admin can do everything a viewer can
+const ROLE_LEVELS = { viewer: 1, admin: 2 };
+
+// Password hashes: { admin: 'scrypt$salt$hash', viewer: ... }
+let hashes = { admin: null, viewer: null };
+// Hashes coming from environment variables take precedence over auth.json
+let envRoles = new Set();
+// Active sessions: token -> { role, expires }
+const sessions = new Map();
+// Failed and pending logins: IP address -> { attempts, resetAt }
+const loginAttempts = new Map();
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+async function verifyPassword(password, stored) {
+    if (!stored || typeof password !== 'string') {
+        return false;
+    }
+    const [scheme, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+async function saveHashes() {
+    const stored = {};
+    for (const role of Object.keys(ROLE_LEVELS)) {
+        if (hashes[role] && !envRoles.has(role)) {
+            stored[role] = hashes[role];
+        }
+    }
+    await writeJsonAtomic(AUTH_FILE, stored, { mode: 0o600 });
+}
+
+// Load password hashes from auth.json and the ADMIN_PASSWORD/VIEWER_PASSWORD env vars
+async function init() {
+    try {
+        const data = await fs.readFile(AUTH_FILE, 'utf8');
+        hashes = { ...hashes, ...JSON.parse(data) };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error reading auth file:', error);
+        }
+    }
+
+    envRoles = new Set();
+    if (process.env.ADMIN_PASSWORD) {
+        hashes.admin = hashPassword(process.env.ADMIN_PASSWORD);
+        envRoles.add('admin');
+    }
+    if (process.env.VIEWER_PASSWORD) {
+        hashes.viewer = hashPassword(process.env.VIEWER_PASSWORD);
+        envRoles.add('viewer');
+    }
+
+    if (!hashes.admin) {
+        console.warn('No admin password set: open the viewer to create one, or set ADMIN_PASSWORD');
+    }
+}
+
+function parseCookies(header = '') {
+    const cookies = {};
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        }
+    }
+    return cookies;
+}
+
+function getToken(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice(7).trim();
+    }
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+function createSession(res, role) {
+    const now = Date.now();
+    for (const [token, session] of sessions) {
+        if (session.expires <= now) {
+            sessions.delete(token);
+        }
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions.set(token, { role, expires: now + SESSION_TTL_MS });
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        maxAge: SESSION_TTL_MS
+    });
+    return token;
+}
+
+// Milliseconds until the IP address may try to log in again, 0 if it may now
+function getLoginDelay(ip) {
+    const entry = loginAttempts.get(ip);
+    if (!entry || entry.resetAt <= Date.now()) {
+        return 0;
+    }
+    return entry.attempts >= LOGIN_MAX_ATTEMPTS ? entry.resetAt - Date.now() : 0;
+}
+
+// Counted before the password is checked, so parallel requests can't all get through
+function recordLoginAttempt(ip) {
+    const now = Date.now();
+    for (const [address, entry] of loginAttempts) {
+        if (entry.resetAt <= now) {
+            loginAttempts.delete(address);
+        }
+    }
+
+    const entry = loginAttempts.get(ip) || { attempts: 0, resetAt: now + LOGIN_WINDOW_MS };
+    entry.attempts += 1;
+    loginAttempts.set(ip, entry);
+}
+
+// Resolve req.role from the session cookie or bearer token.
+// Without a viewer password, anonymous visitors are viewers.
+function attachSession(req, res, next) {
+    req.role = null;
+    req.authenticated = false;
+
+    const token = getToken(req);
+    const session = token ? sessions.get(token) : null;
+    if (session) {
+        if (session.expires > Date.now()) {
+            req.role = session.role;
+            req.authenticated = true;
+        } else {
+            sessions.delete(token);
+        }
+    }
+
+    if (!req.role && !hashes.viewer) {
+        req.role = 'viewer';
+    }
+    next();
+}
+
+function hasRole(req, role) {
+    return Boolean(req.role) && ROLE_LEVELS[req.role] >= ROLE_LEVELS[role];
+}
+
+function requireRole(role) {
+    return (req, res, next) => {
+        if (hasRole(req, role)) {
+            return next();
+        }
+        if (req.authenticated) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        res.status(401).json({ error: 'Authentication required', setupRequired: !hashes.admin });
+    };
+}
+
+function getStatus(req) {
+    return {
+        role: req.role,
+        authenticated: req.authenticated,
+        setupRequired: !hashes.admin,
+        viewerPasswordRequired: Boolean(hashes.viewer)
+    };
+}
+
+const router = express.Router();
+
+router.get('/status', (req, res) => {
+    res.json(getStatus(req));
+});
+
+// First run: create the admin password
+router.post('/setup', async (req, res) => {
+    if (hashes.admin) {
+        return res.status(409).json({ error: 'Admin password already set' });
+    }
+
+    const { password } = req.body || {};
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    try {
+        hashes.admin = hashPassword(password);
+        await saveHashes();
+        const token = createSession(res, 'admin');
+        console.log('Admin password created');
+        res.json({ success: true, token, role: 'admin' });
+    } catch (error) {
+        console.error('Error saving auth file:', error);
+        hashes.admin = null;
+        res.status(500).json({ error: 'Failed to save password' });
+    }
+});
+
+router.post('/login', async (req, res) => {
+    const { password } = req.body || {};
+
+    const delay = getLoginDelay(req.ip);
+    if (delay > 0) {
+        res.set('Retry-After', String(Math.ceil(delay / 1000)));
+        return res.status(429).json({ error: 'Too many failed attempts, try again later' });
+    }
+    recordLoginAttempt(req.ip);
+
+    // Check the admin password first so a shared password grants the higher role
+    let role = null;
+    for (const r of ['admin', 'viewer']) {
+        if (await verifyPassword(password, hashes[r])) {
+            role = r;
+            break;
+        }
+    }
+    if (!role) {
+        return res.status(401).json({ error: 'Invalid password', setupRequired: !hashes.admin });
+    }
+
+    loginAttempts.delete(req.ip);
+    const token = createSession(res, role);
+    res.json({ success: true, token, role });
+});
+
+router.post('/logout', (req, res) => {
+    const token = getToken(req);
+    if (token) {
+        sessions.delete(token);
+    }
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'strict' });
+    res.json({ success: true });
+});
+
+// Change the admin or viewer password. An empty viewer password re-enables anonymous viewing.
+router.post('/password', requireRole('admin'), async (req, res) => {
+    const { role, password } = req.body || {};
+    if (!ROLE_LEVELS[role]) {
+        return res.status(400).json({ error: 'Unknown role' });
+    }
+    if (envRoles.has(role)) {
+        return res.status(409).json({ error: `The ${role} password is set by an environment variable` });
+    }
+
+    const clearing = role === 'viewer' && !password;
+    if (!clearing && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const previous = hashes[role];
+    try {
+        hashes[role] = clearing ? null : hashPassword(password);
+        await saveHashes();
+
+        // Existing sessions for that role must log in again
+        for (const [token, session] of sessions) {
+            if (session.role === role && token !== getToken(req)) {
+                sessions.delete(token);
+            }
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error saving auth file:', error);
+        hashes[role] = previous;
+        res.status(500).json({ error: 'Failed to save password' });
+    }
+});
+
+module.exports = {
+    init,
+    attachSession,
+    requireRole,
+    router
+};
@@ -0,0 +1,307 @@
+const { PROVIDER_NAMES } = require('./geoip-providers');
+const IPRanges = require('../js/ip-ranges');
+
+// Alert rules that fire above a threshold
+const THRESHOLD_ALERTS = ['bandwidthAbove', 'concurrentAbove'];
+
+// Schema for config/settings.json. Every field is optional (missing fields fall
+// back to their default, mirrored in Config.defaultConfig) but present fields
+// must match their rule.
+const CONFIG_SCHEMA = {
+    // Tautulli/Plex servers drawn on the map, each with its own connection
+    servers: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                id: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,40}$/, patternMessage: 'Letters, digits, - and _ only' },
+                name: { type: 'string', minLength: 1, maxLength: 100 },
+                tautulliUrl: { type: 'url' },
+                apiKey: { type: 'string', maxLength: 200 },
+                lat: { type: 'number', min: -90, max: 90 },
+                lon: { type: 'number', min: -180, max: 180 },
+                color: { type: 'string', pattern: /^#[0-9A-Fa-f]{6}$/, patternMessage: 'Must be a colour such as #4caf50' }
+            },
+            required: ['id', 'name', 'tautulliUrl', 'apiKey', 'lat', 'lon', 'color']
+        },
+        maxItems: 20,
+        check: (servers) => {
+            const errors = {};
+            const seen = new Set();
+            servers.forEach((server, index) => {
+                if (seen.has(server.id)) {
+                    errors[`${index}.id`] = 'Duplicate server id';
+                }
+                seen.add(server.id);
+            });
+            return errors;
+        },
+        default: []
+    },
+    refreshInterval: { type: 'integer', min: 5, max: 300, default: 30 },
+    mapStyle: { type: 'enum', values: ['dark', 'light', 'satellite'], default: 'dark' },
+    // What markers and connection lines are coloured by
+    colorScheme: {
+        type: 'enum',
+        values: ['bandwidth', 'decision', 'mediaType', 'platform', 'user', 'server'],
+        default: 'bandwidth'
+    },
+    // Colour of streams whose bandwidth (kbps) is above min, for the bandwidth scheme
+    bandwidthColors: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                min: { type: 'number', min: 0, max: 1000000 },
+                color: { type: 'string', pattern: /^#[0-9A-Fa-f]{6}$/, patternMessage: 'Must be a colour such as #4caf50' }
+            },
+            required: ['min', 'color']
+        },
+        minItems: 1,
+        maxItems: 10,
+        default: [
+            { min: 20000, color: '#ff4444' },
+            { min: 10000, color: '#ff8844' },
+            { min: 5000, color: '#ffaa44' },
+            { min: 2000, color: '#ffcc44' },
+            { min: 0, color: '#44ff44' }
+        ]
+    },
+    archiveEnabled: { type: 'boolean', default: true },
+    archivePollMinutes: { type: 'integer', min: 1, max: 1440, default: 15 },
+    archiveBackfillDays: { type: 'integer', min: 1, max: 365, default: 30 },
+    geoipCacheTtlHours: { type: 'integer', min: 1, max: 8760, default: 720 },
+    geoipNegativeTtlHours: { type: 'integer', min: 1, max: 720, default: 6 },
+    geoipProviders: {
+        type: 'array',
+        items: { type: 'enum', values: PROVIDER_NAMES },
+        minItems: 1,
+        maxItems: PROVIDER_NAMES.length,
+        default: ['mmdb', 'tautulli']
+    },
+    geoipDatabasePath: { type: 'string', maxLength: 500, default: 'geoip/GeoLite2-City.mmdb' },
+    geoipAsnDatabasePath: { type: 'string', maxLength: 500, default: 'geoip/GeoLite2-ASN.mmdb' },
+    // Networks placed at fixed coordinates instead of being geolocated (VPN, other sites)
+    internalRanges: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                cidr: { type: 'cidr' },
+                label: { type: 'string', minLength: 1, maxLength: 100 },
+                lat: { type: 'number', min: -90, max: 90 },
+                lon: { type: 'number', min: -180, max: 180 }
+            },
+            required: ['cidr', 'label', 'lat', 'lon']
+        },
+        maxItems: 100,
+        default: []
+    },
+    // Sessions pinned to a chosen location, by Tautulli user id, username or IP/CIDR
+    locationOverrides: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                type: { type: 'enum', values: ['userId', 'username', 'ip'] },
+                value: { type: 'string', minLength: 1, maxLength: 200 },
+                label: { type: 'string', minLength: 1, maxLength: 100 },
+                lat: { type: 'number', min: -90, max: 90 },
+                lon: { type: 'number', min: -180, max: 180 }
+            },
+            required: ['type', 'value', 'label', 'lat', 'lon'],
+            check: (override) => {
+                if (override.type === 'ip' && !IPRanges.parseCidr(override.value)) {
+                    return { value: 'Must be an IP address or CIDR range' };
+                }
+                return null;
+            }
+        },
+        maxItems: 500,
+        default: []
+    },
+    // Alerts checked on every activity poll, sent to open tabs and/or the webhook
+    alertRules: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                type: {
+                    type: 'enum',
+                    values: ['streamStarted', 'newCountry', 'bandwidthAbove', 'concurrentAbove', 'transcodeStarted']
+                },
+                // Mbps for bandwidthAbove, streams for concurrentAbove
+                threshold: { type: 'number', min: 0, max: 1000000 },
+                channel: { type: 'enum', values: ['browser', 'webhook', 'both'] }
+            },
+            required: ['type', 'channel'],
+            check: (rule) => {
+                if (THRESHOLD_ALERTS.includes(rule.type) && rule.threshold === undefined) {
+                    return { threshold: 'Required for this alert' };
+                }
+                return null;
+            }
+        },
+        maxItems: 50,
+        default: []
+    },
+    alertWebhookUrl: {
+        type: 'string',
+        maxLength: 2000,
+        pattern: /^(https?:\/\/\S+)?$/,
+        patternMessage: 'Must be an http:// or https:// URL',
+        default: ''
+    }
+};
+
+function validateValue(rule, value, path, errors) {
+    switch (rule.type) {
+        case 'string':
+        case 'url':
+            if (typeof value !== 'string') {
+                errors[path] = 'Must be a string';
+                return;
+            }
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                errors[path] = `Must be at least ${rule.minLength} characters`;
+                return;
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                errors[path] = `Must be at most ${rule.maxLength} characters`;
+                return;
+            }
+            if (rule.pattern && !rule.pattern.test(value)) {
+                errors[path] = rule.patternMessage || 'Invalid format';
+                return;
+            }
+            if (rule.type === 'url') {
+                let url;
+                try {
+                    url = new URL(value);
+                } catch (error) {
+                    errors[path] = 'Must be a valid URL';
+                    return;
+                }
+                if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                    errors[path] = 'Must be an http:// or https:// URL';
+                }
+            }
+            return;
+
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors[path] = 'Must be a number';
+                return;
+            }
+            if (rule.type === 'integer' && !Number.isInteger(value)) {
+                errors[path] = 'Must be a whole number';
+                return;
+            }
+            if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+                errors[path] = `Must be between ${rule.min ?? '-∞'} and ${rule.max ?? '∞'}`;
+            }
+            return;
+
+        case 'cidr':
+            if (typeof value !== 'string' || !IPRanges.parseCidr(value)) {
+                errors[path] = 'Must be an IP address or CIDR range, e.g. 10.8.0.0/24 or fd00::/8';
+            }
+            return;
+
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                errors[path] = 'Must be true or false';
+            }
+            return;
+
+        case 'enum':
+            if (!rule.values.includes(value)) {
+                errors[path] = `Must be one of: ${rule.values.join(', ')}`;
+            }
+            return;
+
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors[path] = 'Must be a list';
+                return;
+            }
+            if (rule.minItems !== undefined && value.length < rule.minItems) {
+                errors[path] = `Must have at least ${rule.minItems} entries`;
+                return;
+            }
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                errors[path] = `Must have at most ${rule.maxItems} entries`;
+                return;
+            }
+            value.forEach((item, index) => validateValue(rule.items, item, `${path}.${index}`, errors));
+            applyCheck(rule, value, path, errors);
+            return;
+
+        case 'object':
+            validateObject(rule.properties, value, path, errors, rule.required);
+            applyCheck(rule, value, path, errors);
+            return;
+
+        default:
+            throw new Error(`Unknown schema type: ${rule.type}`);
+    }
+}
+
+// Rules spanning several properties or entries, run once each of them is valid.
+// rule.check returns messages keyed by path relative to the value.
+function applyCheck(rule, value, path, errors) {
+    if (!rule.check || Object.keys(errors).some(key => key === path || key.startsWith(`${path}.`))) {
+        return;
+    }
+    for (const [key, message] of Object.entries(rule.check(value) || {})) {
+        errors[`${path}.${key}`] = message;
+    }
+}
+
+function validateObject(properties, value, path, errors, required = []) {
+    const prefix = path ? `${path}.` : '';
+
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        errors[path || '_'] = 'Must be an object';
+        return;
+    }
+
+    for (const key of Object.keys(value)) {
+        if (!Object.prototype.hasOwnProperty.call(properties, key)) {
+            errors[`${prefix}${key}`] = 'Unknown setting';
+        }
+    }
+
+    for (const [key, rule] of Object.entries(properties)) {
+        if (value[key] === undefined) {
+            if (required.includes(key)) {
+                errors[`${prefix}${key}`] = 'Required';
+            }
+            continue;
+        }
+        validateValue(rule, value[key], `${prefix}${key}`, errors);
+    }
+}
+
+// Returns { valid, errors } where errors maps a dotted field path to a message
+function validateConfig(config) {
+    const errors = {};
+    validateObject(CONFIG_SCHEMA, config, '', errors);
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+// Stored config with every missing top-level field set to its default
+function withDefaults(config) {
+    const result = {};
+    for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+        result[key] = config[key] !== undefined ? config[key] : rule.default;
+    }
+    return result;
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    validateConfig,
+    withDefaults
+};
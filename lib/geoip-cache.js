@@ -0,0 +1,131 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeJsonAtomic } = require('./atomic-write');
+
+const CACHE_FILE = path.join(__dirname, '..', 'config', 'geoip-cache.json');
+const SAVE_DELAY_MS = 5000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Persistent GeoIP cache shared by every browser and the poller, keyed by IP.
+// Failed lookups are cached too (location null) with their own, shorter TTL.
+class GeoIPCache {
+    constructor(file = CACHE_FILE) {
+        this.file = file;
+        this.entries = new Map(); // ip -> { location, fetchedAt, expiresAt }
+        this.pending = new Map(); // ip -> lookup promise, so concurrent misses share one call
+        this.saveTimer = null;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            const now = Date.now();
+            for (const [ip, entry] of Object.entries(data)) {
+                if (entry.expiresAt > now) {
+                    this.entries.set(ip, entry);
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error reading GeoIP cache:', error);
+            }
+        }
+        console.log(`GeoIP cache loaded: ${this.entries.size} entries`);
+    }
+
+    // Cached entry for an IP, or undefined if missing or expired
+    get(ip) {
+        const entry = this.entries.get(ip);
+        if (!entry) return undefined;
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(ip);
+            return undefined;
+        }
+        return entry;
+    }
+
+    set(ip, location, ttlMs) {
+        const now = Date.now();
+        this.entries.set(ip, { location, fetchedAt: now, expiresAt: now + ttlMs });
+        this.scheduleSave();
+    }
+
+    // Cached location for an IP, calling lookup() on a miss. lookup() returns a
+    // location, null when the IP can't be located, or throws on transient
+    // errors (which are not cached).
+    async resolve(ip, lookup, { ttlHours, negativeTtlHours }) {
+        const entry = this.get(ip);
+        if (entry) {
+            this.hits++;
+            return entry.location;
+        }
+
+        if (this.pending.has(ip)) {
+            return this.pending.get(ip);
+        }
+
+        this.misses++;
+        const promise = (async () => {
+            try {
+                const location = await lookup();
+                const ttlMs = (location ? ttlHours : negativeTtlHours) * HOUR_MS;
+                this.set(ip, location, ttlMs);
+                return location;
+            } finally {
+                this.pending.delete(ip);
+            }
+        })();
+        this.pending.set(ip, promise);
+        return promise;
+    }
+
+    purge(ip = null) {
+        let removed;
+        if (ip === null) {
+            removed = this.entries.size;
+            this.entries.clear();
+        } else {
+            removed = this.entries.delete(ip) ? 1 : 0;
+        }
+        this.scheduleSave();
+        return removed;
+    }
+
+    list() {
+        const now = Date.now();
+        return Array.from(this.entries.entries())
+            .filter(([, entry]) => entry.expiresAt > now)
+            .map(([ip, entry]) => ({ ip, ...entry, negative: entry.location === null }));
+    }
+
+    getStats() {
+        const entries = this.list();
+        return {
+            entries: entries.length,
+            negative: entries.filter(entry => entry.negative).length,
+            hits: this.hits,
+            misses: this.misses
+        };
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => console.error('Error saving GeoIP cache:', error));
+        }, SAVE_DELAY_MS);
+    }
+
+    async save() {
+        const data = {};
+        for (const entry of this.list()) {
+            const { ip, negative, ...stored } = entry;
+            data[ip] = stored;
+        }
+        await writeJsonAtomic(this.file, data);
+    }
+}
+
+module.exports = GeoIPCache;
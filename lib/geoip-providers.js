@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const path = require('path');
+const maxmind = require('maxmind');
+
+const APP_DIR = path.join(__dirname, '..');
+const RECHECK_MS = 60 * 1000;
+
+// Open .mmdb readers, reopened when the file on disk changes
+const readers = new Map(); // resolved path -> { reader, mtimeMs, checkedAt }
+
+async function getReader(file) {
+    if (!file) return null;
+
+    const resolved = path.resolve(APP_DIR, file);
+    const cached = readers.get(resolved);
+    const now = Date.now();
+    if (cached && now - cached.checkedAt < RECHECK_MS) {
+        return cached.reader;
+    }
+
+    let stat;
+    try {
+        stat = await fs.stat(resolved);
+    } catch (error) {
+        readers.set(resolved, { reader: null, mtimeMs: null, checkedAt: now });
+        return null;
+    }
+
+    if (cached && cached.reader && cached.mtimeMs === stat.mtimeMs) {
+        cached.checkedAt = now;
+        return cached.reader;
+    }
+
+    const reader = await maxmind.open(resolved);
+    console.log(`GeoIP database opened: ${resolved} (${reader.metadata.databaseType})`);
+    readers.set(resolved, { reader, mtimeMs: stat.mtimeMs, checkedAt: now });
+    return reader;
+}
+
+// English names, matching what Tautulli returns so per-country stats line up
+function localName(names) {
+    return names ? names.en || Object.values(names)[0] : undefined;
+}
+
+// Each provider returns a location, null when it can't locate the IP, or
+// throws when it is unavailable right now
+const PROVIDERS = {
+    // Local MaxMind GeoLite2 / DB-IP City database, plus an optional ASN database
+    mmdb: {
+        async locate(ip, { settings }) {
+            const cityReader = await getReader(settings.geoipDatabasePath);
+            if (!cityReader) return null;
+
+            const record = cityReader.get(ip);
+            if (!record || !record.location || record.location.latitude === undefined) {
+                return null;
+            }
+
+            const asnReader = await getReader(settings.geoipAsnDatabasePath);
+            const asn = asnReader ? asnReader.get(ip) : null;
+
+            return {
+                lat: record.location.latitude,
+                lon: record.location.longitude,
+                city: localName(record.city?.names) || 'Unknown',
+                region: localName(record.subdivisions?.[0]?.names) || '',
+                country: localName(record.country?.names) || 'Unknown',
+                countryCode: record.country?.iso_code || '',
+                isp: asn?.autonomous_system_organization || 'Unknown ISP',
+                asn: asn?.autonomous_system_number || null,
+                provider: 'mmdb'
+            };
+        }
+    },
+
+    // Tautulli's get_geoip_lookup
+    tautulli: {
+        async locate(ip, { api }) {
+            const location = await api.fetchGeoIPFromTautulli(ip);
+            return location ? { ...location, provider: 'tautulli' } : null;
+        }
+    }
+};
+
+// Try each configured provider in order. Returns null only when every
+// provider answered that it can't locate the IP, so the miss can be cached.
+async function locate(ip, context) {
+    let lastError = null;
+
+    for (const name of context.settings.geoipProviders) {
+        const provider = PROVIDERS[name];
+        if (!provider) continue;
+
+        try {
+            const location = await provider.locate(ip, context);
+            if (location) {
+                return location;
+            }
+        } catch (error) {
+            console.warn(`GeoIP provider ${name} failed for ${ip}:`, error.message);
+            lastError = error;
+        }
+    }
+
+    if (lastError) {
+        throw lastError;
+    }
+    return null;
+}
+
+module.exports = {
+    PROVIDER_NAMES: Object.keys(PROVIDERS),
+    locate
+};
@@ -0,0 +1,155 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic, writeJsonAtomic } = require('./atomic-write');
+const { LEGACY_SERVER_ID } = require('./settings');
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+const ARCHIVE_FILE = path.join(CONFIG_DIR, 'history-archive.jsonl');
+const META_FILE = path.join(CONFIG_DIR, 'history-archive.meta.json');
+
+// Append-only store of normalized history sessions, one JSON object per line,
+// keyed by server id and Tautulli's history row id. Later lines replace
+// earlier ones.
+class HistoryArchive {
+    constructor(file = ARCHIVE_FILE, metaFile = META_FILE) {
+        this.file = file;
+        this.metaFile = metaFile;
+        this.sessions = new Map(); // "serverId:historyId" -> session
+        this.lineCount = 0;
+        this.meta = {
+            servers: {} // serverId -> { coverageFrom, lastPoll }
+        };
+    }
+
+    static key(serverId, historyId) {
+        return `${serverId}:${historyId}`;
+    }
+
+    async load() {
+        try {
+            const data = await fs.readFile(this.file, 'utf8');
+            for (const line of data.split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    const session = JSON.parse(line);
+                    // Archived before multi-server support
+                    session.serverId = session.serverId || LEGACY_SERVER_ID;
+                    this.sessions.set(HistoryArchive.key(session.serverId, session.historyId), session);
+                    this.lineCount++;
+                } catch (error) {
+                    // A crash mid-append can leave a truncated last line
+                    console.warn('Skipping corrupt history archive line');
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        try {
+            const { coverageFrom, lastPoll, ...meta } = JSON.parse(await fs.readFile(this.metaFile, 'utf8'));
+            this.meta = { ...this.meta, ...meta };
+            if (coverageFrom !== undefined && !this.meta.servers[LEGACY_SERVER_ID]) {
+                this.meta.servers[LEGACY_SERVER_ID] = { coverageFrom, lastPoll };
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        console.log(`History archive loaded: ${this.sessions.size} sessions`);
+
+        // Rewrite the file once superseded lines make up most of it
+        if (this.lineCount > 2 * this.sessions.size + 100) {
+            await this.compact();
+        }
+    }
+
+    // Add or replace sessions; returns how many were new or changed
+    async upsert(sessions) {
+        const lines = [];
+        for (const session of sessions) {
+            if (session.historyId === null || session.historyId === undefined) continue;
+
+            const key = HistoryArchive.key(session.serverId, session.historyId);
+            const line = JSON.stringify(session);
+            const existing = this.sessions.get(key);
+            if (existing && JSON.stringify(existing) === line) continue;
+
+            this.sessions.set(key, session);
+            lines.push(line);
+        }
+
+        if (lines.length > 0) {
+            await fs.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.appendFile(this.file, lines.join('\n') + '\n');
+            this.lineCount += lines.length;
+        }
+        return lines.length;
+    }
+
+    async compact() {
+        const lines = Array.from(this.sessions.values()).map(session => JSON.stringify(session));
+        await writeFileAtomic(this.file, lines.length ? lines.join('\n') + '\n' : '');
+        this.lineCount = lines.length;
+        console.log(`History archive compacted to ${lines.length} lines`);
+    }
+
+    // { coverageFrom, lastPoll } of one server: the oldest time the archive has
+    // complete history for and the last successful history poll
+    getServerMeta(serverId) {
+        return { coverageFrom: null, lastPoll: null, ...this.meta.servers[serverId] };
+    }
+
+    async updateServerMeta(serverId, changes) {
+        this.meta.servers[serverId] = { ...this.getServerMeta(serverId), ...changes };
+        await writeJsonAtomic(this.metaFile, this.meta);
+    }
+
+    // Range covered for every given server, from null if one isn't archived yet
+    getCoverage(serverIds) {
+        const metas = serverIds.map(id => this.getServerMeta(id));
+        if (metas.length === 0 || metas.some(meta => meta.coverageFrom === null)) {
+            return { from: null, to: null };
+        }
+        return {
+            from: Math.max(...metas.map(meta => meta.coverageFrom)),
+            to: Math.min(...metas.map(meta => meta.lastPoll))
+        };
+    }
+
+    has(serverId, historyId) {
+        return this.sessions.has(HistoryArchive.key(serverId, historyId));
+    }
+
+    // Every country archived sessions were played from
+    getCountries() {
+        const countries = new Set();
+        for (const session of this.sessions.values()) {
+            if (session.location && session.location.country) {
+                countries.add(session.location.country);
+            }
+        }
+        return countries;
+    }
+
+    // Newest archived session start of a server, used to poll incrementally
+    getLatestStartTime(serverId) {
+        let latest = null;
+        for (const session of this.sessions.values()) {
+            if (session.serverId === serverId && (latest === null || session.startTime > latest)) {
+                latest = session.startTime;
+            }
+        }
+        return latest;
+    }
+
+    // Sessions started between two timestamps (ms), oldest first, optionally
+    // of a single server
+    query(from, to, serverId = null) {
+        return Array.from(this.sessions.values())
+            .filter(session => session.startTime >= from && session.startTime <= to)
+            .filter(session => serverId === null || session.serverId === serverId)
+            .sort((a, b) => a.startTime - b.startTime);
+    }
+}
+
+module.exports = HistoryArchive;
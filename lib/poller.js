@@ -0,0 +1,209 @@
+const EventEmitter = require('events');
+const { readSettings, getConfiguredServers } = require('./settings');
+const { ServerTautulliAPI } = require('./tautulli-client');
+
+// Sessions finish in Tautulli's history after they start: re-read this much
+// before the newest archived start so long sessions aren't missed
+const HISTORY_OVERLAP_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Background poller: get_activity of every server feeds the live stream (SSE)
+// clients and get_history feeds the history archive
+class Poller extends EventEmitter {
+    constructor(archive, geoipCache) {
+        super();
+        this.archive = archive;
+        this.geoipCache = geoipCache;
+        this.apis = null; // One ServerTautulliAPI per configured server
+        this.settings = null;
+        this.timers = [];
+        this.activeStreams = [];
+        this.serverStatus = {}; // serverId -> connected
+        this.lastActivityPoll = null;
+        this.firstSeen = new Map();
+        this.historyPolling = false;
+        this.generation = 0; // Incremented by every start()
+    }
+
+    async start() {
+        // Settings saved again while these were read start a newer poller
+        const generation = ++this.generation;
+        const settings = await readSettings();
+        if (generation !== this.generation) return;
+
+        this.stop();
+        this.settings = settings;
+
+        const servers = getConfiguredServers(this.settings);
+        if (servers.length === 0) {
+            console.log('Poller idle: Tautulli is not configured');
+            return;
+        }
+
+        this.apis = servers.map(server => new ServerTautulliAPI(this.settings, this.geoipCache, server));
+        this.serverStatus = {};
+
+        const activityMs = this.settings.refreshInterval * 1000;
+        this.timers.push(setInterval(() => this.pollActivity(), activityMs));
+        console.log(`Poller started: ${servers.length} server(s), activity every ${this.settings.refreshInterval}s`);
+        this.pollActivity();
+
+        if (this.settings.archiveEnabled) {
+            const historyMs = this.settings.archivePollMinutes * 60 * 1000;
+            this.timers.push(setInterval(() => this.pollHistory(), historyMs));
+            console.log(`History archive: polling every ${this.settings.archivePollMinutes} min`);
+            this.pollHistory();
+        }
+    }
+
+    stop() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        this.apis = null;
+    }
+
+    async pollActivity() {
+        const apis = this.apis;
+        if (!apis) return;
+
+        // An unreachable server has no streams but doesn't hide the others'
+        const results = await Promise.all(apis.map(async (api) => {
+            const activity = await api.getActivity();
+            return { api, streams: activity ? await api.getActiveStreams(activity) : null };
+        }));
+        if (apis !== this.apis) return; // Restarted meanwhile
+
+        const streams = [];
+        const serverStatus = {};
+        for (const result of results) {
+            serverStatus[result.api.server.id] = result.streams !== null;
+            streams.push(...(result.streams || []));
+        }
+
+        // Remember when each session was first seen, activity has no start time
+        const now = Date.now();
+        const seenKeys = new Set();
+        for (const stream of streams) {
+            const key = this.getLiveKey(stream);
+            seenKeys.add(key);
+            if (!this.firstSeen.has(key)) {
+                this.firstSeen.set(key, now);
+            }
+        }
+        for (const key of this.firstSeen.keys()) {
+            if (!seenKeys.has(key)) {
+                this.firstSeen.delete(key);
+            }
+        }
+
+        this.activeStreams = streams;
+        this.serverStatus = serverStatus;
+        this.lastActivityPoll = now;
+        this.emit('activity', this.getLiveState());
+    }
+
+    // Payload pushed to live stream clients
+    getLiveState() {
+        return {
+            streams: this.activeStreams,
+            tautulliConnected: Object.values(this.serverStatus).some(Boolean),
+            servers: this.serverStatus,
+            updatedAt: this.lastActivityPoll
+        };
+    }
+
+    async pollHistory() {
+        const apis = this.apis;
+        if (!apis || this.historyPolling) return;
+        this.historyPolling = true;
+
+        try {
+            for (const api of apis) {
+                if (apis !== this.apis) return; // Restarted meanwhile
+                await this.pollServerHistory(api);
+            }
+        } finally {
+            this.historyPolling = false;
+        }
+    }
+
+    async pollServerHistory(api) {
+        const serverId = api.server.id;
+
+        try {
+            const now = Date.now();
+            const backfillFrom = now - this.settings.archiveBackfillDays * DAY_MS;
+            const latest = this.archive.getLatestStartTime(serverId);
+            const coverageFrom = this.archive.getServerMeta(serverId).coverageFrom;
+
+            let from = latest !== null ? latest - HISTORY_OVERLAP_MS : backfillFrom;
+            if (coverageFrom === null || coverageFrom > backfillFrom) {
+                from = Math.min(from, backfillFrom);
+            }
+
+            const rows = await api.getHistory(new Date(from), new Date(now));
+            if (!this.apis || !this.apis.includes(api)) return;
+
+            // Rows without an id are sessions still in progress
+            const sessions = [];
+            for (const row of rows) {
+                if (row.id === null || row.id === undefined || this.archive.has(serverId, row.id)) continue;
+                sessions.push(await api.normalizeHistorySession(row, sessions.length));
+            }
+
+            const added = await this.archive.upsert(sessions);
+            await this.archive.updateServerMeta(serverId, {
+                coverageFrom: coverageFrom === null ? from : Math.min(coverageFrom, from),
+                lastPoll: now
+            });
+            console.log(`History poll (${serverId}): ${rows.length} rows since ${new Date(from).toISOString()}, ${added} archived`);
+            this.emit('history', added);
+        } catch (error) {
+            console.error(`History poll failed (${serverId}):`, error.message);
+        }
+    }
+
+    getLiveKey(stream) {
+        return `${stream.serverId}-${stream.userId}-${stream.ipAddress}-${stream.media.title}`;
+    }
+
+    // Active streams in the history session shape, for sessions Tautulli
+    // hasn't written to its history yet
+    getLiveSessions() {
+        const now = Date.now();
+        return this.activeStreams.map(stream => {
+            const startTime = stream.startedAt ? stream.startedAt * 1000 : this.firstSeen.get(this.getLiveKey(stream)) || now;
+            const duration = Math.round((now - startTime) / 1000);
+            return {
+                sessionKey: `live-${stream.sessionKey}`,
+                historyId: null,
+                serverId: stream.serverId,
+                isLive: true,
+                username: stream.username,
+                userId: stream.userId,
+                ipAddress: stream.ipAddress,
+                location: stream.location,
+                media: {
+                    type: stream.media.type,
+                    title: stream.media.title,
+                    year: stream.media.year,
+                    grandparentTitle: stream.media.grandparentTitle || '',
+                    parentTitle: stream.media.parentTitle || ''
+                },
+                stream: {
+                    player: stream.stream.player,
+                    platform: stream.stream.platform,
+                    quality: stream.stream.quality,
+                    bandwidth: stream.stream.bandwidth
+                },
+                startTime,
+                stopTime: now,
+                duration,
+                pausedDuration: 0,
+                watchedDuration: duration
+            };
+        });
+    }
+}
+
+module.exports = Poller;
@@ -0,0 +1,102 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeJsonAtomic } = require('./atomic-write');
+const { withDefaults } = require('./config-schema');
+
+const CONFIG_FILE = path.join(__dirname, '..', 'config', 'settings.json');
+
+// Placeholder sent to the browser instead of the real Tautulli API keys and
+// alert webhook URL, which may hold a token
+const MASKED_API_KEY = '********';
+
+// Id of the server migrated from single-server settings, which the history
+// archive also gives to sessions archived before servers had ids
+const LEGACY_SERVER_ID = 'default';
+
+// Settings from before multi-server support hold one Tautulli connection at
+// the top level: move it into the servers list
+function migrateConfig(config) {
+    const { tautulliUrl, apiKey, serverLat, serverLon, ...rest } = config;
+    if ([tautulliUrl, apiKey, serverLat, serverLon].every(value => value === undefined)) {
+        return config;
+    }
+    if (Array.isArray(rest.servers) && rest.servers.length > 0) {
+        return rest;
+    }
+
+    return {
+        ...rest,
+        servers: [{
+            id: LEGACY_SERVER_ID,
+            name: 'Plex',
+            tautulliUrl: tautulliUrl || 'http://localhost:8181',
+            apiKey: apiKey || '',
+            lat: serverLat ?? 48.856614,
+            lon: serverLon ?? 2.352222,
+            color: '#4caf50'
+        }]
+    };
+}
+
+// Read stored configuration, empty object if it doesn't exist yet
+async function readConfig() {
+    try {
+        const data = await fs.readFile(CONFIG_FILE, 'utf8');
+        return migrateConfig(JSON.parse(data));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return {};
+        }
+        throw error;
+    }
+}
+
+// Stored configuration with defaults, for server-side features
+async function readSettings() {
+    return withDefaults(await readConfig());
+}
+
+async function writeConfig(config) {
+    await writeJsonAtomic(CONFIG_FILE, config);
+}
+
+// Copy of the configuration that is safe to send to the browser
+function maskConfig(config) {
+    const masked = { ...config };
+    if (Array.isArray(config.servers)) {
+        masked.servers = config.servers.map(server => server.apiKey ? { ...server, apiKey: MASKED_API_KEY } : server);
+    }
+    if (config.alertWebhookUrl) {
+        masked.alertWebhookUrl = MASKED_API_KEY;
+    }
+    return masked;
+}
+
+// Servers with a Tautulli URL and API key
+function getConfiguredServers(settings) {
+    return (settings.servers || []).filter(server => server.tautulliUrl && server.apiKey);
+}
+
+function isConfigured(settings) {
+    return getConfiguredServers(settings).length > 0;
+}
+
+// Configured server by id, or the first one when no id is given
+function findServer(settings, id) {
+    const servers = getConfiguredServers(settings);
+    return (id ? servers.find(server => server.id === id) : servers[0]) || null;
+}
+
+module.exports = {
+    CONFIG_FILE,
+    MASKED_API_KEY,
+    LEGACY_SERVER_ID,
+    migrateConfig,
+    readConfig,
+    readSettings,
+    writeConfig,
+    maskConfig,
+    getConfiguredServers,
+    isConfigured,
+    findServer
+};
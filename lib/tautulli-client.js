@@ -0,0 +1,72 @@
+// Browser scripts share globals: expose the ones TautulliAPI uses
+global.IPRanges = require('../js/ip-ranges');
+const TautulliAPI = require('../js/tautulli-api');
+const geoipProviders = require('./geoip-providers');
+
+const TAUTULLI_TIMEOUT_MS = 15000;
+
+// Tautulli API v2 URL for a command on a server, with its stored API key
+function buildTautulliUrl(server, cmd, params = {}) {
+    const url = new URL(`${server.tautulliUrl.replace(/\/+$/, '')}/api/v2`);
+    for (const [key, value] of Object.entries(params)) {
+        if (key !== 'apikey' && key !== 'cmd') {
+            url.searchParams.append(key, value);
+        }
+    }
+    url.searchParams.set('apikey', server.apiKey);
+    url.searchParams.set('cmd', cmd);
+    return url;
+}
+
+async function tautulliFetch(server, cmd, params = {}) {
+    return fetch(buildTautulliUrl(server, cmd, params), {
+        signal: AbortSignal.timeout(TAUTULLI_TIMEOUT_MS)
+    });
+}
+
+// The browser TautulliAPI for one server, talking to Tautulli directly instead
+// of through the proxy so server-side features produce the exact same session
+// shapes
+class ServerTautulliAPI extends TautulliAPI {
+    constructor(settings, geoipCache, server) {
+        super({ get: (key) => settings[key] }, server);
+        this.settings = settings;
+        this.geoipCache = geoipCache;
+    }
+
+    async request(cmd, params = {}) {
+        const response = await tautulliFetch(this.server, cmd, params);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (data.response.result !== 'success') {
+            const apiError = new Error(data.response.message || 'API request failed');
+            apiError.apiError = true;
+            throw apiError;
+        }
+
+        return data.response.data;
+    }
+
+    // Consult the shared GeoIP cache before asking the configured providers
+    async lookupGeoIP(ipAddress) {
+        const lookup = () => geoipProviders.locate(ipAddress, { api: this, settings: this.settings });
+        return this.geoipCache.resolve(ipAddress, lookup, {
+            ttlHours: this.settings.geoipCacheTtlHours,
+            negativeTtlHours: this.settings.geoipNegativeTtlHours
+        });
+    }
+
+    // The server is the archive, always query Tautulli
+    async getArchivedHistory() {
+        return null;
+    }
+}
+
+module.exports = {
+    buildTautulliUrl,
+    tautulliFetch,
+    ServerTautulliAPI
+};
@@ -2,10 +2,42 @@ const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
 const cors = require('cors');
+const auth = require('./lib/auth');
+const { validateConfig, withDefaults } = require('./lib/config-schema');
+const {
+    CONFIG_FILE, MASKED_API_KEY, migrateConfig, readConfig, readSettings, writeConfig, maskConfig,
+    getConfiguredServers, findServer
+} = require('./lib/settings');
+const net = require('net');
+const { tautulliFetch, ServerTautulliAPI } = require('./lib/tautulli-client');
+const HistoryArchive = require('./lib/history-archive');
+const GeoIPCache = require('./lib/geoip-cache');
+const Poller = require('./lib/poller');
+const AlertMonitor = require('./lib/alerts');
+const HistoryExport = require('./js/history-export');
 
 const app = express();
 const PORT = 8188;
-const CONFIG_FILE = path.join(__dirname, 'config', 'settings.json');
+const SSE_HEARTBEAT_MS = 25000;
+const archive = new HistoryArchive();
+const geoipCache = new GeoIPCache();
+const poller = new Poller(archive, geoipCache);
+poller.setMaxListeners(0); // One listener per live stream client
+const alerts = new AlertMonitor(poller, archive);
+alerts.setMaxListeners(0);
+
+// Settings only the browser uses: changing them doesn't restart the poller
+const DISPLAY_SETTINGS = new Set(['mapStyle', 'colorScheme', 'bandwidthColors']);
+
+// Read-only Tautulli commands the viewer is allowed to call through the proxy
+const ALLOWED_TAUTULLI_COMMANDS = new Set([
+    'get_activity',
+    'get_history',
+    'get_geoip_lookup',
+    'get_user',
+    'get_server_info',
+    'pms_image_proxy'
+]);
 
 // Middleware
 app.use(cors());
@@ -17,6 +49,9 @@ app.use((req, res, next) => {
     next();
 });
 
+// Resolve the caller's role for every request
+app.use(auth.attachSession);
+
 // Ensure config directory exists
 async function ensureConfigDir() {
     try {
@@ -26,40 +61,277 @@ async function ensureConfigDir() {
     }
 }
 
+// Health check, reachable without authentication
+app.get('/api/health', (req, res) => {
+    res.json({ status: 'ok' });
+});
+
+// Login, logout and password management
+app.use('/api/auth', auth.router);
+
 // Load configuration
-app.get('/api/config', async (req, res) => {
+app.get('/api/config', auth.requireRole('viewer'), async (req, res) => {
     try {
         console.log('Loading config from:', CONFIG_FILE);
-        const data = await fs.readFile(CONFIG_FILE, 'utf8');
-        const config = JSON.parse(data);
-        console.log('Config loaded successfully:', config);
-        res.json(config);
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            // File doesn't exist, return empty config
+        const config = await readConfig();
+        if (Object.keys(config).length === 0) {
             console.log('Config file does not exist yet');
-            res.json({});
         } else {
-            console.error('Error reading config:', error);
-            res.status(500).json({ error: 'Failed to load configuration' });
+            console.log('Config loaded successfully');
         }
+        res.json(maskConfig(config));
+    } catch (error) {
+        console.error('Error reading config:', error);
+        res.status(500).json({ error: 'Failed to load configuration' });
     }
 });
 
 // Save configuration
-app.post('/api/config', async (req, res) => {
+app.post('/api/config', auth.requireRole('admin'), async (req, res) => {
     try {
-        console.log('Saving config:', req.body);
-        await ensureConfigDir();
-        await fs.writeFile(CONFIG_FILE, JSON.stringify(req.body, null, 2));
+        const newConfig = migrateConfig({ ...req.body });
+        const currentConfig = await readConfig();
+
+        // The browser only ever sees masked keys, keep the stored ones
+        if (Array.isArray(newConfig.servers)) {
+            const currentServers = currentConfig.servers || [];
+            newConfig.servers = newConfig.servers.map(server => {
+                if (!server || server.apiKey !== MASKED_API_KEY) {
+                    return server;
+                }
+                const current = currentServers.find(s => s.id === server.id);
+                return { ...server, apiKey: current ? current.apiKey : '' };
+            });
+        }
+        if (newConfig.alertWebhookUrl === MASKED_API_KEY) {
+            newConfig.alertWebhookUrl = currentConfig.alertWebhookUrl || '';
+        }
+
+        const { valid, errors } = validateConfig(newConfig);
+        if (!valid) {
+            console.warn('Rejected invalid config:', errors);
+            return res.status(400).json({ error: 'Invalid configuration', fields: errors });
+        }
+
+        console.log('Saving config:', maskConfig(newConfig));
+        await writeConfig(newConfig);
         console.log('Config saved to:', CONFIG_FILE);
         res.json({ success: true, message: 'Configuration saved' });
+
+        // Pick up the new Tautulli connection and polling settings. A restart
+        // polls the history again, skip it when only the display changed.
+        if (hasServerSettingsChanged(currentConfig, newConfig)) {
+            poller.start();
+        }
     } catch (error) {
         console.error('Error saving config:', error);
         res.status(500).json({ error: 'Failed to save configuration' });
     }
 });
 
+function hasServerSettingsChanged(previousConfig, newConfig) {
+    const serverSettings = (config) => Object.entries(withDefaults(config))
+        .filter(([key]) => !DISPLAY_SETTINGS.has(key));
+    return JSON.stringify(serverSettings(previousConfig)) !== JSON.stringify(serverSettings(newConfig));
+}
+
+// Proxy read-only Tautulli API calls to the server given by ?server=<id> (the
+// first one by default), injecting its stored API key
+app.get('/api/tautulli/:cmd', auth.requireRole('viewer'), async (req, res) => {
+    const cmd = req.params.cmd;
+    if (!ALLOWED_TAUTULLI_COMMANDS.has(cmd)) {
+        return res.status(403).json({ error: `Command not allowed: ${cmd}` });
+    }
+
+    try {
+        const { server: serverId, ...params } = req.query;
+        const server = findServer(await readSettings(), serverId);
+        if (!server) {
+            return res.status(503).json({ error: 'Tautulli is not configured' });
+        }
+
+        const response = await tautulliFetch(server, cmd, params);
+        // Images (pms_image_proxy) are binary
+        const body = Buffer.from(await response.arrayBuffer());
+        if (cmd === 'pms_image_proxy' && response.ok) {
+            res.set('Cache-Control', 'private, max-age=86400');
+        }
+        res.status(response.status)
+            .type(response.headers.get('content-type') || 'application/json')
+            .send(body);
+    } catch (error) {
+        console.error(`Error proxying Tautulli command ${cmd}:`, error.message);
+        res.status(502).json({ error: 'Failed to reach Tautulli' });
+    }
+});
+
+// Live activity pushed over Server-Sent Events, polled once for all clients
+app.get('/api/live/stream', auth.requireRole('viewer'), (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (state) => {
+        res.write(`event: activity\ndata: ${JSON.stringify(state)}\n\n`);
+    };
+    const sendAlert = (alert) => {
+        res.write(`event: alert\ndata: ${JSON.stringify(alert)}\n\n`);
+    };
+
+    // Current snapshot right away, then every poll
+    if (poller.lastActivityPoll !== null) {
+        send(poller.getLiveState());
+    }
+    poller.on('activity', send);
+    alerts.on('alert', sendAlert);
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        poller.off('activity', send);
+        alerts.off('alert', sendAlert);
+    });
+});
+
+// Send a test alert to the webhook URL being edited in the settings, or the
+// stored one when the form still holds the masked placeholder
+app.post('/api/alerts/test', auth.requireRole('admin'), async (req, res) => {
+    let url = typeof req.body.webhookUrl === 'string' ? req.body.webhookUrl.trim() : '';
+    if (url === MASKED_API_KEY) {
+        url = (await readSettings()).alertWebhookUrl;
+    }
+    if (!url) {
+        return res.status(400).json({ error: 'No webhook URL configured' });
+    }
+    if (!/^https?:\/\/\S+$/.test(url)) {
+        return res.status(400).json({ error: 'Webhook URL must be an http:// or https:// URL' });
+    }
+
+    try {
+        await AlertMonitor.sendWebhook(url, alerts.createTestAlert());
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Test alert webhook failed:', error.message);
+        res.status(502).json({ error: `Webhook failed: ${error.message}` });
+    }
+});
+
+// Locate an IP through the shared GeoIP cache, calling Tautulli on a miss
+app.get('/api/geoip/:ip', auth.requireRole('viewer'), async (req, res) => {
+    const ip = req.params.ip;
+    if (!net.isIP(ip)) {
+        return res.status(400).json({ error: 'Invalid IP address' });
+    }
+
+    try {
+        const settings = await readSettings();
+        const server = findServer(settings, req.query.server);
+        if (!server) {
+            return res.status(503).json({ error: 'Tautulli is not configured' });
+        }
+
+        const cached = geoipCache.get(ip) !== undefined;
+        const location = await new ServerTautulliAPI(settings, geoipCache, server).lookupGeoIP(ip);
+        res.json({ ip, location, cached });
+    } catch (error) {
+        console.error(`Error locating ${ip}:`, error.message);
+        res.status(502).json({ error: 'Failed to reach Tautulli' });
+    }
+});
+
+// Inspect and purge the GeoIP cache
+app.get('/api/geoip-cache', auth.requireRole('admin'), (req, res) => {
+    res.json({ stats: geoipCache.getStats(), entries: geoipCache.list() });
+});
+
+app.delete('/api/geoip-cache', auth.requireRole('admin'), (req, res) => {
+    res.json({ success: true, removed: geoipCache.purge() });
+});
+
+app.delete('/api/geoip-cache/:ip', auth.requireRole('admin'), (req, res) => {
+    res.json({ success: true, removed: geoipCache.purge(req.params.ip) });
+});
+
+// Archived and live sessions for the from, to (ms since epoch) and server
+// query parameters, or { status, error } when they can't be served
+function queryHistory(query) {
+    const from = Number(query.from);
+    const to = query.to === undefined ? Date.now() : Number(query.to);
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+        return { status: 400, error: 'Invalid from/to range' };
+    }
+
+    const serverId = query.server || null;
+    const serverIds = poller.settings ? getConfiguredServers(poller.settings).map(server => server.id) : [];
+    const coverage = archive.getCoverage(serverId !== null ? [serverId] : serverIds);
+    if (!poller.settings?.archiveEnabled || coverage.from === null) {
+        return { status: 503, error: 'History archive is not ready' };
+    }
+
+    // Sessions still playing are only in Tautulli's history once they end
+    const sessions = archive.query(from, to, serverId);
+    const liveSessions = poller.getLiveSessions()
+        .filter(s => serverId === null || s.serverId === serverId)
+        .filter(s => s.startTime >= from && s.startTime <= to);
+
+    return {
+        from,
+        to,
+        sessions: [...sessions, ...liveSessions].sort((a, b) => a.startTime - b.startTime),
+        coverage
+    };
+}
+
+// Archived history sessions between two timestamps (ms since epoch), of every
+// server or only the one given by ?server=<id>
+app.get('/api/history', auth.requireRole('viewer'), (req, res) => {
+    const result = queryHistory(req.query);
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ sessions: result.sessions, coverage: result.coverage });
+});
+
+// The same sessions as a CSV, GeoJSON or KML download (?format=csv|geojson|kml),
+// with manual location overrides applied as in the history view
+app.get('/api/history/export', auth.requireRole('viewer'), (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!Object.prototype.hasOwnProperty.call(HistoryExport.FORMATS, format)) {
+        return res.status(400).json({ error: 'Unknown export format' });
+    }
+
+    const result = queryHistory(req.query);
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+
+    const apis = poller.apis || [];
+    const sessions = result.sessions.map(session => {
+        const api = apis.find(a => a.server.id === session.serverId);
+        return api ? api.applyLocationOverride(session) : session;
+    });
+
+    const servers = getConfiguredServers(poller.settings);
+    res.type(HistoryExport.FORMATS[format].mimeType);
+    res.attachment(HistoryExport.getFileName(format, result.from, result.to));
+    res.send(HistoryExport.serialize(format, sessions, servers));
+});
+
+// Never serve stored settings, credentials or server code as static files
+app.use(['/config', '/geoip', '/lib', '/node_modules'], (req, res) => {
+    res.status(404).end();
+});
+app.get(['/server.js', '/package.json', '/package-lock.json'], (req, res) => {
+    res.status(404).end();
+});
+
 // Serve static files after API routes
 app.use(express.static(path.join(__dirname)));
 
@@ -69,8 +341,9 @@ app.get('*', (req, res) => {
 });
 
 // Start server
-ensureConfigDir().then(() => {
+ensureConfigDir().then(() => auth.init()).then(() => archive.load()).then(() => geoipCache.load()).then(() => {
     app.listen(PORT, '0.0.0.0', () => {
         console.log(`Configuration server running on port ${PORT}`);
+        poller.start();
     });
 });
\ No newline at end of file